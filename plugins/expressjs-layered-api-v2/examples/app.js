@@ -0,0 +1,24 @@
+const express = require('express');
+const { env } = require('./config/env');
+const { errorHandler } = require('./middleware/error-handler');
+const { requestContext } = require('./middleware/request-context');
+const { registerRoutes } = require('./routes');
+const { NotFoundError } = require('./utils/errors');
+
+const app = express();
+
+app.disable('x-powered-by');
+
+// Middleware: the request context comes first, so every later log line has the request id
+app.use(requestContext());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Routes: every src/routes/{module}/*.routes.js, e.g. /api/v1/health
+registerRoutes(app, { prefix: env.API_PREFIX });
+
+// Unknown routes, then the error handler (must be last)
+app.use((req, res, next) => next(new NotFoundError(`Route ${req.method} ${req.path} not found`)));
+app.use(errorHandler);
+
+module.exports = { app };
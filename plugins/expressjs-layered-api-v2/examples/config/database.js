@@ -0,0 +1,7 @@
+const knex = require('knex');
+const knexConfig = require('./knexfile');
+const { env } = require('./env');
+
+const db = knex(knexConfig[env.NODE_ENV]);
+
+module.exports = { db };
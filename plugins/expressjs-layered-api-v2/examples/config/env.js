@@ -0,0 +1,32 @@
+const path = require('path');
+const dotenv = require('dotenv');
+const { z } = require('zod');
+
+// The Knex CLI runs from src/config, so .env is found from this file, not the working directory
+dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
+
+// Every variable the app reads, checked once at startup
+const envSchema = z.object({
+  NODE_ENV: z.enum(['development', 'test', 'production']).default('development'),
+  PORT: z.coerce.number().int().positive().default(3000),
+  API_PREFIX: z.string().startsWith('/').default('/api/v1'),
+  DATABASE_URL: z.string().url(),
+  TEST_DATABASE_URL: z.string().url().optional(),
+  SHUTDOWN_TIMEOUT_MS: z.coerce.number().int().positive().default(10000),
+  LOG_LEVEL: z.enum(['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']).optional(),
+  LOG_REDACT_FIELDS: z.string().optional(),
+  ADMIN_API_KEY: z.string().min(1).optional(),
+  JWT_SECRET: z.string().min(32, { message: 'JWT_SECRET must be at least 32 characters' }).optional(),
+  API_KEYS: z.string().optional(),
+});
+
+const result = envSchema.safeParse(process.env);
+
+if (!result.success) {
+  const issues = result.error.issues.map((issue) => `  - ${issue.path.join('.')}: ${issue.message}`);
+  throw new Error(`Invalid environment variables (see .env.example):\n${issues.join('\n')}`);
+}
+
+const env = result.data;
+
+module.exports = { env };
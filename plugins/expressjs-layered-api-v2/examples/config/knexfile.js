@@ -0,0 +1,34 @@
+const path = require('path');
+const { env } = require('./env');
+
+const DATABASE_DIR = path.join(__dirname, '..', 'database');
+
+const base = {
+  client: 'pg',
+  connection: env.DATABASE_URL,
+  migrations: {
+    directory: path.join(DATABASE_DIR, 'migrations'),
+    tableName: 'knex_migrations',
+  },
+  seeds: {
+    directory: path.join(DATABASE_DIR, 'seeds'),
+  },
+};
+
+// One configuration per NODE_ENV; the Knex CLI picks it with --env or NODE_ENV
+module.exports = {
+  development: base,
+
+  test: {
+    ...base,
+    connection: env.TEST_DATABASE_URL || env.DATABASE_URL,
+  },
+
+  production: {
+    ...base,
+    pool: {
+      min: 2,
+      max: 10,
+    },
+  },
+};
@@ -0,0 +1,76 @@
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// LOG_REDACT_FIELDS replaces this list, e.g. LOG_REDACT_FIELDS=password,token,ssn
+// A field also covers longer keys ending in it: `token` hides accessToken and refresh_token
+const DEFAULT_REDACT_FIELDS = ['password', 'secret', 'token', 'authorization', 'cookie', 'apiKey', 'email'];
+
+// Keys compare without case or separators, so apiKey, api_key, and x-api-key match alike
+const normalizeKey = (key) => key.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const redactFields = (process.env.LOG_REDACT_FIELDS
+  ? process.env.LOG_REDACT_FIELDS.split(',')
+  : DEFAULT_REDACT_FIELDS)
+  .map((field) => normalizeKey(field.trim()))
+  .filter(Boolean);
+
+const isRedacted = (key) => {
+  const normalized = normalizeKey(key);
+  return redactFields.some((field) => normalized.endsWith(field));
+};
+
+// Emails keep their first letter and domain, which is usually enough to debug with: j***@example.com
+const mask = (key, value) => {
+  if (normalizeKey(key).endsWith('email') && typeof value === 'string' && value.includes('@')) {
+    const [local, domain] = value.split('@');
+    return `${local.charAt(0)}***@${domain}`;
+  }
+  return REDACTED;
+};
+
+// Copy of `value` with every redacted field masked, at any depth
+const redact = (value, depth = 0) => {
+  if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof Error) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isRedacted(key) ? mask(key, item) : redact(item, depth + 1),
+  ]));
+};
+
+// Applies to the metadata of every entry, including what child loggers add
+const redactFormat = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (key !== 'level' && key !== 'message') {
+      info[key] = isRedacted(key) ? mask(key, info[key]) : redact(info[key]);
+    }
+  });
+  return info;
+});
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || (isProduction ? 'info' : 'debug'),
+  format: winston.format.combine(
+    winston.format.errors({ stack: true }),
+    redactFormat(),
+    winston.format.timestamp(),
+    isProduction
+      ? winston.format.json()
+      : winston.format.combine(winston.format.colorize(), winston.format.simple())
+  ),
+  transports: [new winston.transports.Console()],
+});
+
+module.exports = { logger, redact };
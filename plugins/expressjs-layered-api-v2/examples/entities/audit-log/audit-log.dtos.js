@@ -0,0 +1,21 @@
+// pg parses jsonb into an object; drivers without a jsonb parser return text
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const auditEntryDto = (entryRecord) => ({
+  id: entryRecord.id,
+  entity: entryRecord.entity,
+  entityId: entryRecord.entity_id,
+  action: entryRecord.action,
+  actor: {
+    id: entryRecord.actor_id,
+    type: entryRecord.actor_type,
+  },
+  requestId: entryRecord.request_id,
+  before: parseJson(entryRecord.before),
+  after: parseJson(entryRecord.after),
+  createdAt: entryRecord.created_at,
+});
+
+module.exports = {
+  auditEntryDto,
+};
@@ -0,0 +1,60 @@
+const { db } = require('../../config/database');
+const { parseSort, paginate } = require('../../utils/pagination');
+
+const TABLE_NAME = 'audit_log';
+
+// Every function takes an optional `trx` (a Knex transaction) as its last
+// argument and falls back to the shared connection
+
+// Whitelisted query keys mapped to columns
+const FILTER_COLUMNS = {
+  entity: 'entity',
+  id: 'entity_id',
+  action: 'action',
+  actorId: 'actor_id',
+};
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+};
+
+// Entries are append-only: only a purge erases their values (eraseAuditValues)
+const createAuditEntry = async (entryData, trx = db) => {
+  const [entry] = await trx(TABLE_NAME)
+    .insert(entryData)
+    .returning('*');
+  return entry;
+};
+
+// Drops the before and after values of a record's entries when the record is purged;
+// the entries keep who changed it and when
+const eraseAuditValues = async (entity, entityId, trx = db) => {
+  return trx(TABLE_NAME)
+    .where({ entity, entity_id: entityId })
+    .update({ before: null, after: null });
+};
+
+// Filtered, sorted page of entries; entries of one transaction share created_at and
+// keep their order through their time-sortable ids
+const getAuditEntries = async ({ filters = {}, sort = '-createdAt', limit, offset, cursor } = {}, trx = db) => {
+  const query = trx(TABLE_NAME);
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && FILTER_COLUMNS[key]) {
+      query.where(FILTER_COLUMNS[key], value);
+    }
+  });
+
+  return paginate(query, {
+    sort: parseSort(sort, SORT_COLUMNS),
+    limit,
+    offset,
+    cursor,
+  });
+};
+
+module.exports = {
+  createAuditEntry,
+  eraseAuditValues,
+  getAuditEntries,
+};
@@ -0,0 +1,79 @@
+const auditLogRepository = require('./audit-log.repository');
+const { auditEntryDto } = require('./audit-log.dtos');
+const { generateShortUID } = require('../../utils/id-generator');
+const { getRequestContext } = require('../../middleware/request-context');
+const { redact } = require('../../config/logger');
+
+// Bookkeeping columns every write changes; an entry lists the columns the change was about
+const IGNORED_COLUMNS = ['version', 'created_at', 'updated_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// The columns that differ between two rows, as { before, after } with the old and new
+// values of each; a missing row (create, restore) leaves its side null
+const diffRows = (before, after) => {
+  const columns = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((column) => !IGNORED_COLUMNS.includes(column))
+    .filter((column) => !before || !after || !sameValue(before[column], after[column]));
+  const pick = (row) => (row
+    ? Object.fromEntries(columns.map((column) => [column, row[column] ?? null]))
+    : null);
+
+  return { before: pick(before), after: pick(after) };
+};
+
+// Sensitive fields are masked like in the logs (LOG_REDACT_FIELDS)
+const toJson = (values) => (values ? JSON.stringify(redact(values)) : null);
+
+// Records a change to an entity's record, e.g. from an update operation:
+// recordAudit('update', { entity: 'subscribers', entityId: id, before: existing, after: updated }, tx)
+// Pass the transaction of the change, so the entry commits or rolls back with it. The
+// actor and request id come from the request context; outside a request the actor is `system`.
+// A purge (GDPR erasure) first erases the values of the record's earlier entries, so its
+// data leaves the log in the same transaction: recordAudit('purge', { entity, entityId: id }, tx)
+const recordAudit = async (action, { entity, entityId, before = null, after = null }, trx) => {
+  const context = getRequestContext();
+  const actor = context ? context.actor : null;
+
+  if (action === 'purge') {
+    await auditLogRepository.eraseAuditValues(entity, entityId, trx);
+  }
+
+  const changes = diffRows(before, after);
+
+  const entry = await auditLogRepository.createAuditEntry({
+    id: generateShortUID('audit'),
+    entity,
+    entity_id: entityId,
+    action,
+    actor_id: actor ? actor.id || null : null,
+    actor_type: actor ? actor.type : (context ? 'anonymous' : 'system'),
+    request_id: context ? context.requestId : null,
+    before: toJson(changes.before),
+    after: toJson(changes.after),
+  }, trx);
+
+  return auditEntryDto(entry);
+};
+
+const getAuditEntries = async (query = {}, trx) => {
+  const { limit, offset, cursor, sort, ...filters } = query;
+
+  const { rows, ...meta } = await auditLogRepository.getAuditEntries({
+    filters,
+    sort,
+    limit,
+    offset,
+    cursor,
+  }, trx);
+
+  return {
+    data: rows.map(auditEntryDto),
+    meta,
+  };
+};
+
+module.exports = {
+  recordAudit,
+  getAuditEntries,
+};
@@ -0,0 +1,18 @@
+const { z } = require('zod');
+const { paginationQuery } = require('../../utils/pagination');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// GET /audit?entity=subscribers&id=sub_...: every filter is optional
+const listAuditEntriesQuerySchema = z.object({
+  ...paginationQuery(['createdAt'], '-createdAt'),
+  entity: z.string().min(1).optional(),
+  id: z.string().min(1).optional(),
+  action: z.enum(AUDIT_ACTIONS).optional(),
+  actorId: z.string().min(1).optional(),
+});
+
+module.exports = {
+  AUDIT_ACTIONS,
+  listAuditEntriesQuerySchema,
+};
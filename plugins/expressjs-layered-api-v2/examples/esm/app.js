@@ -0,0 +1,24 @@
+import express from 'express';
+import { env } from './config/env.js';
+import { errorHandler } from './middleware/error-handler.js';
+import { requestContext } from './middleware/request-context.js';
+import { registerRoutes } from './routes/index.js';
+import { NotFoundError } from './utils/errors.js';
+
+const app = express();
+
+app.disable('x-powered-by');
+
+// Middleware: the request context comes first, so every later log line has the request id
+app.use(requestContext());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Routes: every src/routes/{module}/*.routes.js, e.g. /api/v1/health
+await registerRoutes(app, { prefix: env.API_PREFIX });
+
+// Unknown routes, then the error handler (must be last)
+app.use((req, res, next) => next(new NotFoundError(`Route ${req.method} ${req.path} not found`)));
+app.use(errorHandler);
+
+export { app };
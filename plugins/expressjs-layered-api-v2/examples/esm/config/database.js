@@ -0,0 +1,7 @@
+import knex from 'knex';
+import knexConfig from './knexfile.js';
+import { env } from './env.js';
+
+const db = knex(knexConfig[env.NODE_ENV]);
+
+export { db };
@@ -0,0 +1,37 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { env } from './env.js';
+
+const DATABASE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'database');
+
+const base = {
+  client: 'pg',
+  connection: env.DATABASE_URL,
+  migrations: {
+    directory: path.join(DATABASE_DIR, 'migrations'),
+    tableName: 'knex_migrations',
+  },
+  seeds: {
+    directory: path.join(DATABASE_DIR, 'seeds'),
+  },
+};
+
+// One configuration per NODE_ENV; the Knex CLI picks it with --env or NODE_ENV
+const knexConfig = {
+  development: base,
+
+  test: {
+    ...base,
+    connection: env.TEST_DATABASE_URL || env.DATABASE_URL,
+  },
+
+  production: {
+    ...base,
+    pool: {
+      min: 2,
+      max: 10,
+    },
+  },
+};
+
+export default knexConfig;
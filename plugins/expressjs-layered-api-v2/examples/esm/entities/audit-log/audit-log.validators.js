@@ -0,0 +1,18 @@
+import { z } from 'zod';
+import { paginationQuery } from '../../utils/pagination.js';
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// GET /audit?entity=subscribers&id=sub_...: every filter is optional
+const listAuditEntriesQuerySchema = z.object({
+  ...paginationQuery(['createdAt'], '-createdAt'),
+  entity: z.string().min(1).optional(),
+  id: z.string().min(1).optional(),
+  action: z.enum(AUDIT_ACTIONS).optional(),
+  actorId: z.string().min(1).optional(),
+});
+
+export {
+  AUDIT_ACTIONS,
+  listAuditEntriesQuerySchema,
+};
@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Optional parsers are resolved from the project root
+const projectRequire = createRequire(path.join(process.cwd(), 'package.json'));
+
+// YAML support is optional: install `yaml` (or use an existing `js-yaml`) only when a source needs it
+const parseYaml = (content) => {
+  try {
+    return projectRequire('yaml').parse(content);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+  }
+
+  try {
+    return projectRequire('js-yaml').load(content);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+    throw new Error('Reading YAML sources requires the "yaml" package: npm install yaml');
+  }
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines, and "" escapes.
+// The first row is the header; every value is returned as a string.
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((cells) => cells.some((cell) => cell !== ''));
+  return records.map((cells) => Object.fromEntries(header.map((column, index) => [column, cells[index] ?? ''])));
+};
+
+const PARSERS = {
+  '.json': JSON.parse,
+  '.yaml': parseYaml,
+  '.yml': parseYaml,
+  '.csv': parseCsv,
+};
+
+// Read-only records loaded from a JSON, YAML, or CSV file. Records are parsed once,
+// cached in memory, and indexed by `key`; the cache is dropped when the file changes.
+const createSource = ({ file, key = 'slug', watch = true }) => {
+  const filePath = path.resolve(file);
+  const parse = PARSERS[path.extname(filePath).toLowerCase()];
+
+  if (!parse) {
+    throw new Error(`Unsupported data file "${file}". Use .json, .yaml, .yml, or .csv`);
+  }
+
+  let loading = null;
+  let watcher = null;
+
+  const invalidate = () => {
+    loading = null;
+  };
+
+  // Editors often replace the file instead of writing it in place, which ends the
+  // watch on Linux; drop the watcher too so the next load watches the new file
+  const startWatching = () => {
+    if (!watch || watcher) {
+      return;
+    }
+
+    watcher = fs.watch(filePath, (eventType) => {
+      invalidate();
+      if (eventType === 'rename') {
+        watcher.close();
+        watcher = null;
+      }
+    });
+    watcher.on('error', () => {
+      invalidate();
+      watcher = null;
+    });
+    watcher.unref();
+  };
+
+  const read = async () => {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const records = parse(content);
+
+    if (!Array.isArray(records)) {
+      throw new Error(`Data file "${file}" must contain a list of records`);
+    }
+
+    const index = new Map();
+    records.forEach((record) => {
+      const value = String(record[key]);
+      if (index.has(value)) {
+        throw new Error(`Duplicate ${key} "${value}" in data file "${file}"`);
+      }
+      index.set(value, record);
+    });
+
+    startWatching();
+    return { records, index };
+  };
+
+  // Concurrent callers share one read; a failed read is retried on the next call
+  const load = () => {
+    if (!loading) {
+      loading = read().catch((error) => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  };
+
+  // A copy, so callers can sort or filter without reordering the cache
+  const findAll = async () => [...(await load()).records];
+
+  const findByKey = async (value) => (await load()).index.get(String(value)) || null;
+
+  const close = () => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    invalidate();
+  };
+
+  return {
+    findAll,
+    findByKey,
+    invalidate,
+    close,
+  };
+};
+
+export { createSource };
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { logger } from '../config/logger.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+
+const TABLE_NAME = 'idempotency_keys';
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const PG_UNIQUE_VIOLATION = '23505';
+
+// Stored key: a hash of the caller (req.user, set by the route's guard) and the header
+// value, so two callers never share a key or see each other's responses. Requests to a
+// public route have no caller and share one scope.
+const scopedKey = (req, key) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ caller: req.user ? `${req.user.type}:${req.user.id}` : null, key }))
+  .digest('hex');
+
+// Same key must come with the same method, URL, and body
+const fingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ method: req.method, url: req.originalUrl, body: req.body }))
+  .digest('hex');
+
+// Deletes the keys older than KEY_TTL_MS (the created_at index keeps it cheap); a
+// scheduled job may call it as well
+const deleteExpiredKeys = (trx = db) => trx(TABLE_NAME)
+  .where('created_at', '<', new Date(Date.now() - KEY_TTL_MS))
+  .del();
+
+// Each process sweeps the expired keys at most once per SWEEP_INTERVAL_MS, when it
+// reserves a new key, so the table holds about one day of keys. A failed sweep is
+// logged and retried at the next interval; it never fails the request.
+let lastSweepAt = 0;
+const sweepExpiredKeys = async (log) => {
+  if (Date.now() - lastSweepAt < SWEEP_INTERVAL_MS) {
+    return;
+  }
+  lastSweepAt = Date.now();
+
+  try {
+    await deleteExpiredKeys();
+  } catch (error) {
+    log.error('Failed to delete expired Idempotency-Keys', { error: error.message });
+  }
+};
+
+const inProgressError = () => new ConflictError('A request with this Idempotency-Key is still in progress');
+
+// Replays the stored response when a POST is retried with the same Idempotency-Key.
+// The key is reserved before the handler runs, so concurrent retries get a 409
+// instead of a second write. Requests without the header pass through.
+const idempotency = () => {
+  const middleware = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const storedKey = scopedKey(req, key);
+    const requestHash = fingerprint(req);
+
+    try {
+      const existing = await db(TABLE_NAME).where({ key: storedKey }).first();
+
+      if (existing && Date.now() - new Date(existing.created_at).getTime() > KEY_TTL_MS) {
+        await db(TABLE_NAME).where({ key: storedKey }).del();
+      } else if (existing) {
+        if (existing.request_hash !== requestHash) {
+          return next(new ValidationError('Idempotency-Key was already used for a different request'));
+        }
+
+        if (existing.status_code === null) {
+          return next(inProgressError());
+        }
+
+        // pg parses jsonb into an object; drivers without a jsonb parser return text
+        const responseBody = typeof existing.response_body === 'string'
+          ? JSON.parse(existing.response_body)
+          : existing.response_body;
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(responseBody);
+      }
+
+      // Fails with a unique violation when a concurrent retry reserved the key first
+      await db(TABLE_NAME).insert({ key: storedKey, request_hash: requestHash });
+      await sweepExpiredKeys(res.locals.logger || logger);
+    } catch (error) {
+      return next(error.code === PG_UNIQUE_VIOLATION ? inProgressError() : error);
+    }
+
+    // Store the response before sending it; server errors release the key for a retry
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode >= 500
+        ? db(TABLE_NAME).where({ key: storedKey }).del()
+        : db(TABLE_NAME).where({ key: storedKey }).update({
+          status_code: res.statusCode,
+          response_body: JSON.stringify(body),
+        });
+
+      settle
+        .catch((error) => {
+          (res.locals.logger || logger).error('Failed to store idempotent response', {
+            key,
+            error: error.message,
+          });
+        })
+        .then(() => sendJson(body));
+
+      return res;
+    };
+
+    return next();
+  };
+
+  // Exposed so the OpenAPI generator can document the Idempotency-Key header
+  middleware.maxKeyLength = MAX_KEY_LENGTH;
+
+  return middleware;
+};
+
+export { idempotency, deleteExpiredKeys };
@@ -0,0 +1,30 @@
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+import { safeEqual } from '../utils/safe-equal.js';
+import { setActor } from './request-context.js';
+
+const ADMIN_KEY_HEADER = 'x-admin-key';
+
+// Guards admin route groups with the ADMIN_API_KEY shared secret.
+// Admin routes stay closed when the variable is not set.
+const requireAdmin = (req, res, next) => {
+  const expectedKey = process.env.ADMIN_API_KEY;
+  const providedKey = req.get(ADMIN_KEY_HEADER);
+
+  if (!expectedKey) {
+    return next(new ForbiddenError('Admin routes are disabled'));
+  }
+
+  if (!providedKey) {
+    return next(new UnauthorizedError('Admin key is required'));
+  }
+
+  if (!safeEqual(providedKey, expectedKey)) {
+    return next(new ForbiddenError('Invalid admin key'));
+  }
+
+  // Every holder of the key shares it, so the audit log can only name the key
+  setActor({ id: 'admin-key', type: 'adminKey' });
+  return next();
+};
+
+export { requireAdmin };
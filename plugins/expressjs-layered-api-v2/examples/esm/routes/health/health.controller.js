@@ -0,0 +1,25 @@
+import { db } from '../../config/database.js';
+import { AppError } from '../../utils/errors.js';
+
+// 200 while the database answers, 503 otherwise, for load balancers and orchestrators
+const getHealth = async (req, res, next) => {
+  try {
+    await db.raw('select 1');
+  } catch (error) {
+    res.locals.logger.child({ module: 'health' }).error('Database health check failed', { error: error.message });
+    return next(new AppError('Database is unavailable', { statusCode: 503, code: 'SERVICE_UNAVAILABLE' }));
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      status: 'ok',
+      database: 'up',
+      uptimeSeconds: Math.round(process.uptime()),
+    },
+  });
+};
+
+export {
+  getHealth,
+};
@@ -0,0 +1,53 @@
+import request from 'supertest';
+import { db } from '../../config/database.js';
+import { createTestApp } from '../../test/test-app.js';
+import healthRoutes from './health.routes.js';
+import homeRoutes from '../home/home.routes.js';
+
+jest.mock('../../config/database.js', () => ({
+  db: { raw: jest.fn() },
+}));
+jest.mock('../../config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child() {
+      return this;
+    },
+  },
+}));
+
+const app = createTestApp('/api/v1/health', healthRoutes);
+const homeApp = createTestApp('/api/v1', homeRoutes);
+
+beforeEach(() => {
+  db.raw.mockResolvedValue({ rows: [] });
+});
+
+describe('GET /api/v1/health', () => {
+  it('should report a reachable database', async () => {
+    const response = await request(app).get('/api/v1/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'ok', database: 'up' });
+  });
+
+  it('should return 503 when the database does not answer', async () => {
+    db.raw.mockRejectedValueOnce(new Error('connection refused'));
+
+    const response = await request(app).get('/api/v1/health');
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+  });
+});
+
+describe('GET /api/v1', () => {
+  it('should link to the health check', async () => {
+    const response = await request(homeApp).get('/api/v1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.health).toBe('/api/v1/health');
+  });
+});
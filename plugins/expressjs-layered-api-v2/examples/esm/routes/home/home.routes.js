@@ -0,0 +1,9 @@
+import express from 'express';
+import * as homeController from './home.controller.js';
+
+const router = express.Router();
+
+// GET /api/v1 (home.routes.js mounts at the prefix itself)
+router.get('/', homeController.getHome);
+
+export default router;
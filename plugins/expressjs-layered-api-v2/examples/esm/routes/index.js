@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const ROUTES_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ROUTES_SUFFIX = '.routes.js';
+const HOME_MODULE = 'home';
+
+// {module}.routes.js mounts at {prefix}/{module}; {module}.{group}.routes.js at
+// {prefix}/{group}/{module}, e.g. subscribers.admin.routes.js → /api/v1/admin/subscribers.
+// The home module mounts at the prefix itself: home.routes.js → /api/v1.
+// scripts/create-openapi.js documents the routes at the paths this returns.
+const mountPathFor = (prefix, fileName) => {
+  const [name, ...groups] = fileName.slice(0, -ROUTES_SUFFIX.length).split('.');
+  return [prefix, ...groups, ...(name === HOME_MODULE ? [] : [name])].join('/');
+};
+
+// Every src/routes/{module}/*.routes.js, deepest mount paths first so that a
+// module's routes never shadow a nested group (e.g. /admin/subscribers)
+const discoverRoutes = (prefix) => fs.readdirSync(ROUTES_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .flatMap((entry) => fs.readdirSync(path.join(ROUTES_DIR, entry.name))
+    .filter((fileName) => fileName.endsWith(ROUTES_SUFFIX))
+    .map((fileName) => ({
+      mountPath: mountPathFor(prefix, fileName),
+      file: path.join(ROUTES_DIR, entry.name, fileName),
+    })))
+  .sort((a, b) => b.mountPath.split('/').length - a.mountPath.split('/').length
+    || a.mountPath.localeCompare(b.mountPath));
+
+// Mounts every routes module on the app and resolves to the mount paths. The prefix
+// defaults to API_PREFIX, then /api/v1. Route modules are imported asynchronously,
+// so await it before registering the error handler: `await registerRoutes(app)`.
+const registerRoutes = async (app, { prefix = process.env.API_PREFIX || '/api/v1' } = {}) => {
+  const routes = discoverRoutes(prefix.replace(/\/$/, ''));
+  const mounted = new Map();
+
+  for (const { mountPath, file } of routes) {
+    if (mounted.has(mountPath)) {
+      throw new Error(`${file} and ${mounted.get(mountPath)} both mount at ${mountPath}`);
+    }
+
+    const { default: router } = await import(pathToFileURL(file).href);
+    if (typeof router !== 'function') {
+      throw new Error(`${file} must export an Express router as its default export`);
+    }
+
+    app.use(mountPath, router);
+    mounted.set(mountPath, file);
+  }
+
+  return [...mounted.keys()];
+};
+
+export { registerRoutes, mountPathFor };
@@ -0,0 +1,24 @@
+// Entity versions as HTTP validators for optimistic concurrency: GET, POST, and PATCH
+// send the version as a strong ETag ("3"), and PATCH compares If-Match against it
+
+const IF_MATCH_VERSION = /^"(\d+)"$/;
+
+const toETag = (version) => `"${version}"`;
+
+// The version an If-Match header names: undefined when the header is missing or `*`
+// (update whatever is current), null when it names no version, so it never matches.
+// Weak validators (W/"3") never match, as If-Match requires a strong comparison.
+const parseIfMatch = (header) => {
+  const value = header ? header.trim() : '';
+  if (value === '' || value === '*') {
+    return undefined;
+  }
+
+  const match = IF_MATCH_VERSION.exec(value);
+  return match ? Number(match[1]) : null;
+};
+
+export {
+  toETag,
+  parseIfMatch,
+};
@@ -0,0 +1,7 @@
+// Prefix of each entity's IDs, added by scripts/create-entity.js. The prefix is part of
+// every stored ID: never change or reuse one once records exist.
+const ID_PREFIXES = {
+  subscribers: 'sub',
+};
+
+export { ID_PREFIXES };
@@ -0,0 +1,110 @@
+import { z } from 'zod';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Alias of the sort column's text form, selected with concat(). The cursor keeps that text
+// rather than the parsed value: a JavaScript Date holds milliseconds, while timestamp
+// columns hold microseconds, so rows a few microseconds apart would be repeated or skipped
+// on the next page.
+const CURSOR_VALUE = '__cursor';
+
+const encodeCursor = (value, id) => {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+};
+
+// A cursor is client input: anything but the [value, id] pair encodeCursor() writes is
+// rejected like a malformed one
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 2) {
+      return null;
+    }
+
+    const [value, id] = decoded;
+    const validValue = typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    return validValue && typeof id === 'string' ? { value, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query params shared by every list endpoint; sort keys are camelCase, `-` prefix sorts descending
+const paginationQuery = (sortKeys, defaultSort) => ({
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  offset: z.coerce.number().int().min(0).optional(),
+  cursor: z.string()
+    .transform((value, ctx) => {
+      const cursor = decodeCursor(value);
+      if (!cursor) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor' });
+        return z.NEVER;
+      }
+      return cursor;
+    })
+    .optional(),
+  sort: z.enum([...sortKeys, ...sortKeys.map((key) => `-${key}`)]).default(defaultSort),
+});
+
+const parseSort = (sort, sortColumns) => {
+  const descending = sort.startsWith('-');
+  const key = descending ? sort.slice(1) : sort;
+
+  return {
+    column: sortColumns[key],
+    direction: descending ? 'desc' : 'asc',
+  };
+};
+
+// Runs a filtered query as one page, ordered by the sort column with id as tie-breaker.
+// A cursor takes precedence over offset.
+const paginate = async (query, { sort, limit = DEFAULT_LIMIT, offset, cursor }) => {
+  const { column, direction } = sort;
+
+  const [{ count }] = await query.clone().count({ count: '*' });
+
+  const pageQuery = query
+    .clone()
+    .select('*', query.client.raw('concat(??) as ??', [column, CURSOR_VALUE]))
+    .orderBy([
+      { column, order: direction },
+      { column: 'id', order: direction },
+    ])
+    .limit(limit + 1);
+
+  if (cursor) {
+    const operator = direction === 'desc' ? '<' : '>';
+    pageQuery.where((builder) => {
+      builder
+        .where(column, operator, cursor.value)
+        .orWhere((tieBreaker) => {
+          tieBreaker.where(column, cursor.value).andWhere('id', operator, cursor.id);
+        });
+    });
+  } else if (offset) {
+    pageQuery.offset(offset);
+  }
+
+  const rows = await pageQuery;
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  const lastRow = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows.map(({ [CURSOR_VALUE]: cursorValue, ...row }) => row),
+    total: parseInt(count, 10),
+    limit,
+    nextCursor: hasMore ? encodeCursor(lastRow[CURSOR_VALUE], lastRow.id) : null,
+  };
+};
+
+export {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  paginationQuery,
+  parseSort,
+  paginate,
+};
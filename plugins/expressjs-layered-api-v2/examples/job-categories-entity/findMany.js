@@ -1,8 +1,8 @@
 const { mapToJobCategory } = require('./mapTo');
-const filesystemProvider = require('../filesystem-provider');
+const jobCategoriesSource = require('./job-categories.source');
 
 const findMany = async () => {
-  const categories = await filesystemProvider.readJobCategories();
+  const categories = await jobCategoriesSource.findAll();
   return categories.map(mapToJobCategory);
 };
 
@@ -1,12 +1,12 @@
 const { mapToJobCategory } = require('./mapTo');
-const filesystemProvider = require('../filesystem-provider');
+const jobCategoriesSource = require('./job-categories.source');
+const { NotFoundError } = require('../../utils/errors');
 
 const findOne = async (slug) => {
-  const categories = await filesystemProvider.readJobCategories();
-  const category = categories.find(c => c.slug === slug);
+  const category = await jobCategoriesSource.findByKey(slug);
 
   if (!category) {
-    throw new Error('Category not found');
+    throw new NotFoundError('Category not found');
   }
 
   return mapToJobCategory(category);
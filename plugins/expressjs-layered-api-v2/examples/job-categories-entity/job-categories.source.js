@@ -0,0 +1,7 @@
+const path = require('path');
+const { createSource } = require('../filesystem-provider');
+
+const PROJECT_DIR = path.join(__dirname, '..', '..', '..');
+
+// Reference data served from disk, indexed by slug
+module.exports = createSource({ file: path.resolve(PROJECT_DIR, 'data/job-categories.json'), key: 'slug' });
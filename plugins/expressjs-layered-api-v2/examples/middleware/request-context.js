@@ -0,0 +1,66 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { logger } = require('../config/logger');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// An incoming id is kept only when it is safe to echo and to log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// The request being handled, for code that has no `req`, such as the audit log
+const storage = new AsyncLocalStorage();
+
+const statusLevel = (statusCode) => {
+  if (statusCode >= 500) {
+    return 'error';
+  }
+  return statusCode >= 400 ? 'warn' : 'info';
+};
+
+// Mount first in src/app.js: app.use(requestContext())
+// Takes the caller's X-Request-Id or assigns one, returns it as a response header,
+// and sets res.locals.requestId and res.locals.logger, a child logger tagged with the request
+const requestContext = () => (req, res, next) => {
+  const incomingId = req.get(REQUEST_ID_HEADER);
+  const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  const durationMs = () => Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+
+  // The path leaves out the query string, which may hold personal data
+  const requestLogger = logger.child({ requestId, method: req.method, path: req.originalUrl.split('?')[0] });
+
+  res.locals.requestId = requestId;
+  res.locals.logger = requestLogger;
+  res.setHeader('X-Request-Id', requestId);
+
+  requestLogger.info('Request started');
+
+  res.on('finish', () => {
+    requestLogger[statusLevel(res.statusCode)]('Request finished', {
+      statusCode: res.statusCode,
+      durationMs: durationMs(),
+    });
+  });
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      requestLogger.warn('Request aborted by the client', { durationMs: durationMs() });
+    }
+  });
+
+  // Everything the request runs from here on, services and queries included, sees the context
+  storage.run({ requestId, actor: null }, next);
+};
+
+// { requestId, actor } of the request being handled, or undefined outside a request
+// (scripts, jobs, tests that call services directly)
+const getRequestContext = () => storage.getStore();
+
+// Records who is making the request: { id, type }, e.g. { id: 'user-42', type: 'jwt' }
+const setActor = (actor) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = actor;
+  }
+};
+
+module.exports = { requestContext, getRequestContext, setActor };
@@ -0,0 +1,61 @@
+const { ZodError, ZodType } = require('zod');
+const { BadRequestError, ValidationError } = require('../utils/errors');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+// Validates each request part against its own schema and reports every issue at once
+const validate = (schemas) => {
+  if (schemas instanceof ZodType) {
+    throw new Error('validate() expects an object of schemas: validate({ params, query, body })');
+  }
+
+  const middleware = (req, res, next) => {
+    const issues = [];
+    const parsed = {};
+
+    REQUEST_PARTS.forEach((part) => {
+      if (!schemas[part]) {
+        return;
+      }
+
+      const result = schemas[part].safeParse(req[part] || {});
+
+      if (result.success) {
+        parsed[part] = result.data;
+      } else {
+        issues.push(...result.error.issues.map((issue) => ({
+          ...issue,
+          path: [part, ...issue.path],
+        })));
+      }
+    });
+
+    // A path that fails its params schema (a malformed ID) names no resource: 400. Invalid
+    // query strings and bodies are 422.
+    if (issues.some((issue) => issue.path[0] === 'params')) {
+      return next(new BadRequestError(new ZodError(issues)));
+    }
+    if (issues.length > 0) {
+      return next(new ValidationError(new ZodError(issues)));
+    }
+
+    Object.entries(parsed).forEach(([part, data]) => {
+      // Express 5 exposes req.query as a getter, so shadow it instead of assigning
+      Object.defineProperty(req, part, {
+        value: data,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    });
+
+    next();
+  };
+
+  // Exposed so the OpenAPI generator can document the route
+  middleware.schemas = schemas;
+
+  return middleware;
+};
+
+module.exports = { validate };
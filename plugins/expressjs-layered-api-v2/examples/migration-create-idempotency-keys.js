@@ -0,0 +1,28 @@
+/**
+ * Create idempotency_keys table
+ * @param {import('knex').Knex} knex
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('idempotency_keys', (table) => {
+    // SHA-256 of the caller and the Idempotency-Key header
+    table.string('key').primary();
+
+    // SHA-256 of method, URL, and body; a reused key must match it
+    table.string('request_hash', 64).notNullable();
+
+    // Stored response (null while the first request is in progress)
+    table.integer('status_code');
+    table.jsonb('response_body');
+
+    // Keys expire 24 hours after creation; idempotency() deletes the expired ones by it
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable().index();
+  });
+};
+
+/**
+ * Drop idempotency_keys table
+ * @param {import('knex').Knex} knex
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('idempotency_keys');
+};
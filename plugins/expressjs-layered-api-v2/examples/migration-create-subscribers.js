@@ -15,8 +15,12 @@ exports.up = function(knex) {
     table.string('page_url');
     table.string('referrer');
 
-    // Soft delete flag
+    // Soft delete flag and deletion time
     table.boolean('is_deleted').defaultTo(false).notNullable();
+    table.timestamp('deleted_at');
+
+    // Optimistic concurrency: every update increments it (sent as the ETag)
+    table.integer('version').defaultTo(1).notNullable();
 
     // Timestamps (automatically adds created_at and updated_at)
     table.timestamps(true, true);
@@ -0,0 +1,22 @@
+const auditLogService = require('../../entities/audit-log/audit-log.service');
+
+const getAuditEntries = async (req, res, next) => {
+  try {
+    const logger = res.locals.logger.child({ module: 'audit' });
+    logger.info('Fetching audit entries', { query: req.query });
+
+    const { data, meta } = await auditLogService.getAuditEntries(req.query);
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditEntries,
+};
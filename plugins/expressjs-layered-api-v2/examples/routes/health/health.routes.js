@@ -0,0 +1,9 @@
+const express = require('express');
+const healthController = require('./health.controller');
+
+const router = express.Router();
+
+// GET /api/v1/health
+router.get('/', healthController.getHealth);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const request = require('supertest');
+const { db } = require('../../config/database');
+const { createTestApp } = require('../../test/test-app');
+const healthRoutes = require('./health.routes');
+const homeRoutes = require('../home/home.routes');
+
+jest.mock('../../config/database', () => ({
+  db: { raw: jest.fn() },
+}));
+jest.mock('../../config/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    child() {
+      return this;
+    },
+  },
+}));
+
+const app = createTestApp('/api/v1/health', healthRoutes);
+const homeApp = createTestApp('/api/v1', homeRoutes);
+
+beforeEach(() => {
+  db.raw.mockResolvedValue({ rows: [] });
+});
+
+describe('GET /api/v1/health', () => {
+  it('should report a reachable database', async () => {
+    const response = await request(app).get('/api/v1/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'ok', database: 'up' });
+  });
+
+  it('should return 503 when the database does not answer', async () => {
+    db.raw.mockRejectedValueOnce(new Error('connection refused'));
+
+    const response = await request(app).get('/api/v1/health');
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('SERVICE_UNAVAILABLE');
+  });
+});
+
+describe('GET /api/v1', () => {
+  it('should link to the health check', async () => {
+    const response = await request(homeApp).get('/api/v1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.health).toBe('/api/v1/health');
+  });
+});
@@ -0,0 +1,14 @@
+// Entry point of the API; lists where to go next
+const getHome = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      status: 'ok',
+      health: `${req.baseUrl}/health`,
+    },
+  });
+};
+
+module.exports = {
+  getHome,
+};
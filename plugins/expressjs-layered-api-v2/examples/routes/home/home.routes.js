@@ -0,0 +1,9 @@
+const express = require('express');
+const homeController = require('./home.controller');
+
+const router = express.Router();
+
+// GET /api/v1 (home.routes.js mounts at the prefix itself)
+router.get('/', homeController.getHome);
+
+module.exports = router;
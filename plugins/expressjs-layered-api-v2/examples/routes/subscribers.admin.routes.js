@@ -0,0 +1,36 @@
+const express = require('express');
+const subscribersController = require('./subscribers.controller');
+const { validate } = require('../../middleware/validate');
+const { authorize } = require('../../middleware/auth');
+const {
+  subscriberIdSchema,
+  listDeletedSubscribersQuerySchema,
+} = require('../../entities/subscribers/subscribers.validators');
+
+const router = express.Router();
+
+// Every admin route requires the admin role
+router.use(authorize(['admin']));
+
+// GET /api/v1/admin/subscribers/deleted
+router.get(
+  '/deleted',
+  validate({ query: listDeletedSubscribersQuerySchema }),
+  subscribersController.getDeletedSubscribers
+);
+
+// POST /api/v1/admin/subscribers/:id/restore
+router.post(
+  '/:id/restore',
+  validate({ params: subscriberIdSchema }),
+  subscribersController.restoreSubscriber
+);
+
+// DELETE /api/v1/admin/subscribers/:id (permanent)
+router.delete(
+  '/:id',
+  validate({ params: subscriberIdSchema }),
+  subscribersController.purgeSubscriber
+);
+
+module.exports = router;
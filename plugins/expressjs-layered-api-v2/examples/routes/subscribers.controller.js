@@ -1,4 +1,5 @@
 const subscribersService = require('../../entities/subscribers/subscribers.service');
+const { toETag, parseIfMatch } = require('../../utils/etag');
 
 const createSubscriber = async (req, res, next) => {
   try {
@@ -7,7 +8,7 @@ const createSubscriber = async (req, res, next) => {
     const capturedUserAgent = userAgent || req.headers['user-agent'];
     const capturedReferrer = referrer || req.headers['referer'] || req.headers['referrer'];
 
-    logger.info('Creating new subscriber', { email, pageUrl, referrer: capturedReferrer });
+    logger.info('Creating new subscriber', { pageUrl, referrer: capturedReferrer });
 
     const subscriber = await subscribersService.createSubscriber(
       email,
@@ -36,6 +37,7 @@ const getSubscriber = async (req, res, next) => {
 
     const subscriber = await subscribersService.getSubscriberById(id);
 
+    res.set('ETag', toETag(subscriber.version));
     res.status(200).json({
       success: true,
       data: subscriber,
@@ -48,13 +50,14 @@ const getSubscriber = async (req, res, next) => {
 const getAllSubscribers = async (req, res, next) => {
   try {
     const logger = res.locals.logger.child({ module: 'subscribers' });
-    logger.info('Fetching all subscribers');
+    logger.info('Fetching subscribers', { query: req.query });
 
-    const subscribers = await subscribersService.getAllSubscribers();
+    const { data, meta } = await subscribersService.getAllSubscribers(req.query);
 
     res.status(200).json({
       success: true,
-      data: subscribers,
+      data,
+      meta,
     });
   } catch (error) {
     next(error);
@@ -66,13 +69,16 @@ const updateSubscriber = async (req, res, next) => {
     const logger = res.locals.logger.child({ module: 'subscribers' });
     const { id } = req.params;
     const updates = req.body;
+    // The version the client last read; without If-Match the update applies to the current one
+    const version = parseIfMatch(req.get('If-Match'));
 
-    logger.info('Updating subscriber', { subscriberId: id, updates });
+    logger.info('Updating subscriber', { subscriberId: id, version, fields: Object.keys(updates) });
 
-    const subscriber = await subscribersService.updateSubscriber(id, updates);
+    const subscriber = await subscribersService.updateSubscriber(id, updates, { version });
 
-    logger.info('Subscriber updated successfully', { subscriberId: subscriber.id });
+    logger.info('Subscriber updated successfully', { subscriberId: subscriber.id, version: subscriber.version });
 
+    res.set('ETag', toETag(subscriber.version));
     res.status(200).json({
       success: true,
       data: subscriber,
@@ -99,10 +105,69 @@ const deleteSubscriber = async (req, res, next) => {
   }
 };
 
+// Admin handlers (mounted by subscribers.admin.routes.js)
+
+const getDeletedSubscribers = async (req, res, next) => {
+  try {
+    const logger = res.locals.logger.child({ module: 'subscribers' });
+    logger.info('Fetching deleted subscribers', { query: req.query });
+
+    const { data, meta } = await subscribersService.getDeletedSubscribers(req.query);
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const restoreSubscriber = async (req, res, next) => {
+  try {
+    const logger = res.locals.logger.child({ module: 'subscribers' });
+    const { id } = req.params;
+
+    logger.info('Restoring subscriber', { subscriberId: id });
+
+    const subscriber = await subscribersService.restoreSubscriber(id);
+
+    logger.info('Subscriber restored successfully', { subscriberId: id });
+
+    res.status(200).json({
+      success: true,
+      data: subscriber,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const purgeSubscriber = async (req, res, next) => {
+  try {
+    const logger = res.locals.logger.child({ module: 'subscribers' });
+    const { id } = req.params;
+
+    logger.warn('Purging subscriber', { subscriberId: id });
+
+    const result = await subscribersService.purgeSubscriber(id);
+
+    logger.info('Subscriber purged successfully', { subscriberId: id });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createSubscriber,
   getSubscriber,
   getAllSubscribers,
   updateSubscriber,
   deleteSubscriber,
+  getDeletedSubscribers,
+  restoreSubscriber,
+  purgeSubscriber,
 };
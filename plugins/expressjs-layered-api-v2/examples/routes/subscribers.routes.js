@@ -1,43 +1,57 @@
 const express = require('express');
 const subscribersController = require('./subscribers.controller');
+const { validate } = require('../../middleware/validate');
+const { idempotency } = require('../../middleware/idempotency');
+const { authorize } = require('../../middleware/auth');
 const {
   createSubscriberSchema,
   updateSubscriberSchema,
   subscriberIdSchema,
-  validate,
+  listSubscribersQuerySchema,
 } = require('../../entities/subscribers/subscribers.validators');
 
 const router = express.Router();
 
-// POST /api/v1/subscribers
+// Signing up is public; reading and changing subscribers is admin-only
+// (create-module.js --auth=create:public,admin)
+
+// POST /api/v1/subscribers (retries with the same Idempotency-Key replay the first response)
 router.post(
   '/',
-  validate(createSubscriberSchema),
+  idempotency(),
+  validate({ body: createSubscriberSchema }),
   subscribersController.createSubscriber
 );
 
 // GET /api/v1/subscribers
-router.get('/', subscribersController.getAllSubscribers);
+router.get(
+  '/',
+  authorize(['admin']),
+  validate({ query: listSubscribersQuerySchema }),
+  subscribersController.getAllSubscribers
+);
 
 // GET /api/v1/subscribers/:id
 router.get(
   '/:id',
-  validate(subscriberIdSchema),
+  authorize(['admin']),
+  validate({ params: subscriberIdSchema }),
   subscribersController.getSubscriber
 );
 
 // PATCH /api/v1/subscribers/:id
 router.patch(
   '/:id',
-  validate(subscriberIdSchema),
-  validate(updateSubscriberSchema),
+  authorize(['admin']),
+  validate({ params: subscriberIdSchema, body: updateSubscriberSchema }),
   subscribersController.updateSubscriber
 );
 
 // DELETE /api/v1/subscribers/:id
 router.delete(
   '/:id',
-  validate(subscriberIdSchema),
+  authorize(['admin']),
+  validate({ params: subscriberIdSchema }),
   subscribersController.deleteSubscriber
 );
 
@@ -15,11 +15,18 @@ const subscriberDetailDto = (subscriberRecord) => ({
   userAgent: subscriberRecord.user_agent,
   pageUrl: subscriberRecord.page_url,
   referrer: subscriberRecord.referrer,
+  version: subscriberRecord.version,
   createdAt: subscriberRecord.created_at,
   updatedAt: subscriberRecord.updated_at,
 });
 
+const deletedSubscriberDto = (subscriberRecord) => ({
+  ...subscriberDetailDto(subscriberRecord),
+  deletedAt: subscriberRecord.deleted_at,
+});
+
 module.exports = {
   subscriberDto,
   subscriberDetailDto,
+  deletedSubscriberDto,
 };
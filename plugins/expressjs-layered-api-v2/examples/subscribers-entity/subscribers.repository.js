@@ -1,60 +1,176 @@
 const { db } = require('../../config/database');
+const { parseSort, paginate } = require('../../utils/pagination');
 
 const TABLE_NAME = 'subscribers';
 
-const createSubscriber = async (subscriberData) => {
-  const [subscriber] = await db(TABLE_NAME)
+// Every function takes an optional `trx` (a Knex transaction) as its last
+// argument and falls back to the shared connection
+
+// Every write increments the row's version (optimistic concurrency)
+const nextVersion = (trx) => trx.raw('?? + 1', [`${TABLE_NAME}.version`]);
+
+// Whitelisted query keys mapped to columns
+const FILTER_COLUMNS = {
+  email: 'email',
+  referrer: 'referrer',
+};
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  deletedAt: 'deleted_at',
+  email: 'email',
+};
+
+// Unique column that identifies an existing row on create
+const CONFLICT_COLUMN = 'email';
+
+const createSubscriber = async (subscriberData, trx = db) => {
+  const [subscriber] = await trx(TABLE_NAME)
     .insert(subscriberData)
     .returning('*');
   return subscriber;
 };
 
-const findSubscriberByEmail = async (email) => {
-  return db(TABLE_NAME)
+// Takes over the soft-deleted row that holds the email, as if the subscriber signed up
+// anew: the row keeps its id, and columns the data leaves out get their defaults back.
+// Undefined when no soft-deleted row holds the email.
+const reviveSubscriber = async ({ id, ...columns }, trx) => {
+  const values = Object.fromEntries(Object.entries(columns)
+    .map(([column, value]) => [column, value === undefined ? trx.raw('DEFAULT') : value]));
+  const [subscriber] = await trx(TABLE_NAME)
+    .where({ [CONFLICT_COLUMN]: columns[CONFLICT_COLUMN], is_deleted: true })
+    .update({
+      ...values,
+      is_deleted: false,
+      deleted_at: null,
+      version: nextVersion(trx),
+      updated_at: new Date(),
+    })
+    .returning('*');
+  return subscriber;
+};
+
+// Insert unless an active subscriber holds the email, which is returned untouched. A
+// soft-deleted subscriber holding it is revived instead, so an unsubscribed email can
+// sign up again.
+const findOrCreateSubscriber = async (subscriberData, trx = db) => {
+  const [inserted] = await trx(TABLE_NAME)
+    .insert(subscriberData)
+    .onConflict(CONFLICT_COLUMN)
+    .ignore()
+    .returning('*');
+
+  if (inserted && inserted.id === subscriberData.id) {
+    return { subscriber: inserted, created: true };
+  }
+
+  const revived = await reviveSubscriber(subscriberData, trx);
+  if (revived) {
+    return { subscriber: revived, created: true };
+  }
+
+  const existing = await trx(TABLE_NAME)
+    .where(CONFLICT_COLUMN, subscriberData[CONFLICT_COLUMN])
+    .first();
+  return { subscriber: existing, created: false };
+};
+
+const findSubscriberByEmail = async (email, trx = db) => {
+  return trx(TABLE_NAME)
     .where({ email, is_deleted: false })
     .first();
 };
 
-const findSubscriberById = async (id) => {
-  return db(TABLE_NAME)
+const findSubscriberById = async (id, trx = db) => {
+  return trx(TABLE_NAME)
     .where({ id, is_deleted: false })
     .first();
 };
 
-const getAllSubscribers = async () => {
-  return db(TABLE_NAME)
-    .select('*')
-    .where({ is_deleted: false })
-    .orderBy('created_at', 'desc');
+// Filtered, sorted page of active or soft-deleted rows
+const findPage = async (isDeleted, { filters = {}, sort, limit, offset, cursor }, trx) => {
+  const query = trx(TABLE_NAME).where({ is_deleted: isDeleted });
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && FILTER_COLUMNS[key]) {
+      query.where(FILTER_COLUMNS[key], value);
+    }
+  });
+
+  return paginate(query, {
+    sort: parseSort(sort, SORT_COLUMNS),
+    limit,
+    offset,
+    cursor,
+  });
 };
 
-const updateSubscriber = async (id, updates) => {
-  const [subscriber] = await db(TABLE_NAME)
-    .where({ id, is_deleted: false })
+const getAllSubscribers = async ({ sort = '-createdAt', ...options } = {}, trx = db) => {
+  return findPage(false, { sort, ...options }, trx);
+};
+
+const getDeletedSubscribers = async ({ sort = '-deletedAt', ...options } = {}, trx = db) => {
+  return findPage(true, { sort, ...options }, trx);
+};
+
+// Applies the updates only while the row is still at `version`, the one the caller read;
+// undefined when the row is gone or another write moved its version first
+const updateSubscriber = async (id, updates, version, trx = db) => {
+  const [subscriber] = await trx(TABLE_NAME)
+    .where({ id, is_deleted: false, version })
     .update({
       ...updates,
+      version: nextVersion(trx),
       updated_at: new Date(),
     })
     .returning('*');
   return subscriber;
 };
 
-const deleteSubscriber = async (id) => {
-  const [subscriber] = await db(TABLE_NAME)
+const deleteSubscriber = async (id, trx = db) => {
+  const now = new Date();
+  const [subscriber] = await trx(TABLE_NAME)
     .where({ id, is_deleted: false })
     .update({
       is_deleted: true,
+      deleted_at: now,
+      version: nextVersion(trx),
+      updated_at: now,
+    })
+    .returning('*');
+  return subscriber;
+};
+
+const restoreSubscriber = async (id, trx = db) => {
+  const [subscriber] = await trx(TABLE_NAME)
+    .where({ id, is_deleted: true })
+    .update({
+      is_deleted: false,
+      deleted_at: null,
+      version: nextVersion(trx),
       updated_at: new Date(),
     })
     .returning('*');
   return subscriber;
 };
 
+// Hard delete: permanently removes the row, deleted or not (GDPR erasure)
+const purgeSubscriber = async (id, trx = db) => {
+  return trx(TABLE_NAME)
+    .where({ id })
+    .del();
+};
+
 module.exports = {
   createSubscriber,
+  findOrCreateSubscriber,
   findSubscriberByEmail,
   findSubscriberById,
   getAllSubscribers,
+  getDeletedSubscribers,
   updateSubscriber,
   deleteSubscriber,
+  restoreSubscriber,
+  purgeSubscriber,
 };
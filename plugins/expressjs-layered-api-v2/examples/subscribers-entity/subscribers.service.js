@@ -1,15 +1,10 @@
 const subscribersRepository = require('./subscribers.repository');
-const { subscriberDto, subscriberDetailDto } = require('./subscribers.dtos');
+const { subscriberDto, subscriberDetailDto, deletedSubscriberDto } = require('./subscribers.dtos');
 const { generateShortUID } = require('../../utils/id-generator');
+const { NotFoundError, ConflictError } = require('../../utils/errors');
+const { withTransaction } = require('../../utils/transaction');
 
-const createSubscriber = async (email, userAgent, pageUrl, referrer) => {
-  // Business rule: Check for existing subscriber
-  const existingSubscriber = await subscribersRepository.findSubscriberByEmail(email);
-
-  if (existingSubscriber) {
-    return subscriberDto(existingSubscriber);
-  }
-
+const createSubscriber = async (email, userAgent, pageUrl, referrer, trx) => {
   // Business rule: Normalize email to lowercase
   const subscriberData = {
     id: generateShortUID('sub'),
@@ -19,50 +14,130 @@ const createSubscriber = async (email, userAgent, pageUrl, referrer) => {
     referrer: referrer || null,
   };
 
-  const subscriber = await subscribersRepository.createSubscriber(subscriberData);
+  // Business rule: An email signs up once. Signing up again fails with 409 and leaves the
+  // existing subscriber untouched, so nobody can change another subscriber's record
+  const { subscriber, created } = await subscribersRepository.findOrCreateSubscriber(subscriberData, trx);
+
+  if (!created) {
+    throw new ConflictError('Subscriber with this email already exists', { field: 'email' });
+  }
+
   return subscriberDto(subscriber);
 };
 
-const getSubscriberById = async (id) => {
-  const subscriber = await subscribersRepository.findSubscriberById(id);
+const getSubscriberById = async (id, trx) => {
+  const subscriber = await subscribersRepository.findSubscriberById(id, trx);
 
   if (!subscriber) {
-    throw new Error('Subscriber not found');
+    throw new NotFoundError('Subscriber not found');
   }
 
   return subscriberDetailDto(subscriber);
 };
 
-const getAllSubscribers = async () => {
-  const subscribers = await subscribersRepository.getAllSubscribers();
-  return subscribers.map(subscriberDto);
+const getAllSubscribers = async (query = {}, trx) => {
+  const { limit, offset, cursor, sort, ...filters } = query;
+
+  const { rows, ...meta } = await subscribersRepository.getAllSubscribers({
+    filters,
+    sort,
+    limit,
+    offset,
+    cursor,
+  }, trx);
+
+  return {
+    data: rows.map(subscriberDto),
+    meta,
+  };
 };
 
-const updateSubscriber = async (id, updates) => {
-  const existingSubscriber = await subscribersRepository.findSubscriberById(id);
+// `version` is the one the client read (If-Match); two admins editing the same
+// subscriber get a conflict instead of overwriting each other's changes
+const updateSubscriber = async (id, updates, { version } = {}, trx) => {
+  return withTransaction(trx, async (tx) => {
+    const existingSubscriber = await subscribersRepository.findSubscriberById(id, tx);
 
-  if (!existingSubscriber) {
-    throw new Error('Subscriber not found');
-  }
+    if (!existingSubscriber) {
+      throw new NotFoundError('Subscriber not found');
+    }
+
+    if (version !== undefined && existingSubscriber.version !== version) {
+      throw new ConflictError('Subscriber was modified by another request', { currentVersion: existingSubscriber.version });
+    }
+
+    // Business rule: Normalize email if being updated
+    const updateData = {
+      ...updates,
+      email: updates.email ? updates.email.toLowerCase() : existingSubscriber.email,
+    };
+
+    // Business rule: Email must stay unique across subscribers
+    if (updateData.email !== existingSubscriber.email) {
+      const emailOwner = await subscribersRepository.findSubscriberByEmail(updateData.email, tx);
+
+      if (emailOwner) {
+        throw new ConflictError('Email is already subscribed');
+      }
+    }
+
+    const subscriber = await subscribersRepository.updateSubscriber(id, updateData, existingSubscriber.version, tx);
 
-  // Business rule: Normalize email if being updated
-  const updateData = {
-    ...updates,
-    email: updates.email ? updates.email.toLowerCase() : existingSubscriber.email,
+    if (!subscriber) {
+      throw new ConflictError('Subscriber was modified by another request');
+    }
+
+    return subscriberDetailDto(subscriber);
+  });
+};
+
+const deleteSubscriber = async (id, trx) => {
+  return withTransaction(trx, async (tx) => {
+    const existingSubscriber = await subscribersRepository.findSubscriberById(id, tx);
+
+    if (!existingSubscriber) {
+      throw new NotFoundError('Subscriber not found');
+    }
+
+    await subscribersRepository.deleteSubscriber(id, tx);
+    return { success: true };
+  });
+};
+
+const getDeletedSubscribers = async (query = {}, trx) => {
+  const { limit, offset, cursor, sort, ...filters } = query;
+
+  const { rows, ...meta } = await subscribersRepository.getDeletedSubscribers({
+    filters,
+    sort,
+    limit,
+    offset,
+    cursor,
+  }, trx);
+
+  return {
+    data: rows.map(deletedSubscriberDto),
+    meta,
   };
+};
+
+const restoreSubscriber = async (id, trx) => {
+  const subscriber = await subscribersRepository.restoreSubscriber(id, trx);
+
+  if (!subscriber) {
+    throw new NotFoundError('Deleted subscriber not found');
+  }
 
-  const subscriber = await subscribersRepository.updateSubscriber(id, updateData);
   return subscriberDetailDto(subscriber);
 };
 
-const deleteSubscriber = async (id) => {
-  const existingSubscriber = await subscribersRepository.findSubscriberById(id);
+const purgeSubscriber = async (id, trx) => {
+  const purgedCount = await subscribersRepository.purgeSubscriber(id, trx);
 
-  if (!existingSubscriber) {
-    throw new Error('Subscriber not found');
+  if (purgedCount === 0) {
+    throw new NotFoundError('Subscriber not found');
   }
 
-  await subscribersRepository.deleteSubscriber(id);
   return { success: true };
 };
 
@@ -72,4 +147,7 @@ module.exports = {
   getAllSubscribers,
   updateSubscriber,
   deleteSubscriber,
+  getDeletedSubscribers,
+  restoreSubscriber,
+  purgeSubscriber,
 };
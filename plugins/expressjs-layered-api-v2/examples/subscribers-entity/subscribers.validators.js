@@ -1,10 +1,12 @@
 const { z } = require('zod');
+const { paginationQuery } = require('../../utils/pagination');
+const { idSchema } = require('../../utils/id-generator');
 
 const createSubscriberSchema = z.object({
   email: z.string().email({ message: "Invalid email address" }),
-  userAgent: z.string().optional(),
-  pageUrl: z.string().optional(),
-  referrer: z.string().optional(),
+  userAgent: z.string().nullable().optional(),
+  pageUrl: z.string().nullable().optional(),
+  referrer: z.string().nullable().optional(),
 });
 
 const updateSubscriberSchema = z.object({
@@ -12,27 +14,25 @@ const updateSubscriberSchema = z.object({
 });
 
 const subscriberIdSchema = z.object({
-  id: z.string().min(1, { message: "Subscriber ID is required" }),
+  id: idSchema('sub'),
 });
 
-const validate = (schema) => (req, res, next) => {
-  try {
-    if (req.body && Object.keys(req.body).length > 0) {
-      req.body = schema.parse(req.body);
-    } else if (req.params && Object.keys(req.params).length > 0) {
-      req.params = schema.parse(req.params);
-    } else if (req.query && Object.keys(req.query).length > 0) {
-      req.query = schema.parse(req.query);
-    }
-    next();
-  } catch (error) {
-    next(error);
-  }
-};
+const listSubscribersQuerySchema = z.object({
+  ...paginationQuery(['createdAt', 'updatedAt', 'email'], '-createdAt'),
+  email: z.string().email({ message: "Invalid email address" }).optional(),
+  referrer: z.string().optional(),
+});
+
+const listDeletedSubscribersQuerySchema = z.object({
+  ...paginationQuery(['deletedAt', 'createdAt', 'updatedAt', 'email'], '-deletedAt'),
+  email: z.string().email({ message: "Invalid email address" }).optional(),
+  referrer: z.string().optional(),
+});
 
 module.exports = {
   createSubscriberSchema,
   updateSubscriberSchema,
   subscriberIdSchema,
-  validate,
+  listSubscribersQuerySchema,
+  listDeletedSubscribersQuerySchema,
 };
@@ -0,0 +1,17 @@
+const express = require('express');
+const { errorHandler } = require('../middleware/error-handler');
+const { requestContext } = require('../middleware/request-context');
+
+// Minimal app around a single router, with the same request context and error handling as src/app.js
+const createTestApp = (basePath, router) => {
+  const app = express();
+
+  app.use(requestContext());
+  app.use(express.json());
+  app.use(basePath, router);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createTestApp };
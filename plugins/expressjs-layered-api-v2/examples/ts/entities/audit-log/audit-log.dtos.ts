@@ -0,0 +1,38 @@
+import type { AuditEntryRow } from './audit-log.repository.js';
+
+export interface AuditEntryDto {
+  id: string;
+  entity: string;
+  entityId: string;
+  action: string;
+  actor: {
+    id: string | null;
+    type: string;
+  };
+  requestId: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  createdAt: Date;
+}
+
+// pg parses jsonb into an object; drivers without a jsonb parser return text
+const parseJson = (value: unknown) => (typeof value === 'string' ? JSON.parse(value) : value) as Record<string, unknown> | null;
+
+const auditEntryDto = (entryRecord: AuditEntryRow): AuditEntryDto => ({
+  id: entryRecord.id,
+  entity: entryRecord.entity,
+  entityId: entryRecord.entity_id,
+  action: entryRecord.action,
+  actor: {
+    id: entryRecord.actor_id,
+    type: entryRecord.actor_type,
+  },
+  requestId: entryRecord.request_id,
+  before: parseJson(entryRecord.before),
+  after: parseJson(entryRecord.after),
+  createdAt: entryRecord.created_at,
+});
+
+export {
+  auditEntryDto,
+};
@@ -0,0 +1,82 @@
+import type { Knex } from 'knex';
+import { db } from '../../config/database.js';
+import { parseSort, paginate } from '../../utils/pagination.js';
+import type { ListOptions, Page } from '../../utils/pagination.js';
+
+const TABLE_NAME = 'audit_log';
+
+// Every function takes an optional `trx` (a Knex transaction) as its last
+// argument and falls back to the shared connection
+
+// A row of audit_log as Knex returns it; before and after are jsonb
+export interface AuditEntryRow {
+  id: string;
+  entity: string;
+  entity_id: string;
+  action: string;
+  actor_id: string | null;
+  actor_type: string;
+  request_id: string | null;
+  before: unknown;
+  after: unknown;
+  created_at: Date;
+}
+
+// Columns the service writes; created_at is set by the database
+export type AuditEntryRecord = Omit<AuditEntryRow, 'created_at'>;
+
+// Whitelisted query keys mapped to columns
+const FILTER_COLUMNS: Record<string, string> = {
+  entity: 'entity',
+  id: 'entity_id',
+  action: 'action',
+  actorId: 'actor_id',
+};
+
+const SORT_COLUMNS: Record<string, string> = {
+  createdAt: 'created_at',
+};
+
+// Entries are append-only: only a purge erases their values (eraseAuditValues)
+const createAuditEntry = async (entryData: AuditEntryRecord, trx: Knex = db): Promise<AuditEntryRow> => {
+  const [entry] = await trx<AuditEntryRow>(TABLE_NAME)
+    .insert(entryData)
+    .returning('*');
+  return entry;
+};
+
+// Drops the before and after values of a record's entries when the record is purged;
+// the entries keep who changed it and when
+const eraseAuditValues = async (entity: string, entityId: string, trx: Knex = db): Promise<number> => {
+  return trx<AuditEntryRow>(TABLE_NAME)
+    .where({ entity, entity_id: entityId })
+    .update({ before: null, after: null });
+};
+
+// Filtered, sorted page of entries; entries of one transaction share created_at and
+// keep their order through their time-sortable ids
+const getAuditEntries = async (
+  { filters = {}, sort = '-createdAt', limit, offset, cursor }: ListOptions = {},
+  trx: Knex = db
+): Promise<Page<AuditEntryRow>> => {
+  const query = trx<AuditEntryRow>(TABLE_NAME);
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && FILTER_COLUMNS[key]) {
+      query.where(FILTER_COLUMNS[key], value as Knex.Value);
+    }
+  });
+
+  return paginate<AuditEntryRow>(query, {
+    sort: parseSort(sort, SORT_COLUMNS),
+    limit,
+    offset,
+    cursor,
+  });
+};
+
+export {
+  createAuditEntry,
+  eraseAuditValues,
+  getAuditEntries,
+};
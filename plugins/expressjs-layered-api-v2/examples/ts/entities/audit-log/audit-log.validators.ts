@@ -0,0 +1,22 @@
+import { z } from 'zod';
+import { paginationQuery } from '../../utils/pagination.js';
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'] as const;
+
+// GET /audit?entity=subscribers&id=sub_...: every filter is optional
+const listAuditEntriesQuerySchema = z.object({
+  ...paginationQuery(['createdAt'], '-createdAt'),
+  entity: z.string().min(1).optional(),
+  id: z.string().min(1).optional(),
+  action: z.enum(AUDIT_ACTIONS).optional(),
+  actorId: z.string().min(1).optional(),
+});
+
+export type AuditAction = (typeof AUDIT_ACTIONS)[number];
+// Request data after validation; validate() replaces req.query with it
+export type ListAuditEntriesQuery = z.infer<typeof listAuditEntriesQuerySchema>;
+
+export {
+  AUDIT_ACTIONS,
+  listAuditEntriesQuerySchema,
+};
@@ -0,0 +1,76 @@
+import type { ErrorRequestHandler } from 'express';
+import { ZodError } from 'zod';
+import { logger } from '../config/logger.js';
+import { AppError, ConflictError, ValidationError } from '../utils/errors.js';
+
+const PG_UNIQUE_VIOLATION = '23505';
+const PG_FOREIGN_KEY_VIOLATION = '23503';
+
+// Normalizes anything passed to next(err) into an AppError
+const toAppError = (err: any): AppError => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err instanceof ZodError) {
+    return new ValidationError(err);
+  }
+
+  if (err.code === PG_UNIQUE_VIOLATION) {
+    return new ConflictError();
+  }
+
+  // A foreign key names a missing row, or a row to delete is still referenced
+  if (err.code === PG_FOREIGN_KEY_VIOLATION) {
+    return /still referenced/.test(err.detail || '')
+      ? new ConflictError('Resource is still referenced')
+      : new ValidationError('Referenced resource does not exist');
+  }
+
+  // Errors from Express middleware such as body-parser (malformed JSON, payload too large)
+  if (err.expose && err.statusCode < 500) {
+    return new AppError(err.message, { statusCode: err.statusCode, code: 'BAD_REQUEST' });
+  }
+
+  return new AppError('Internal server error');
+};
+
+const errorHandler: ErrorRequestHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const requestLogger = res.locals.logger || logger;
+  const appError = toAppError(err);
+
+  // toAppError hides unexpected errors behind "Internal server error"; the log keeps the
+  // original. Server errors raised as AppErrors, such as the health check's 503, say what failed.
+  if (appError.statusCode >= 500 && appError !== err) {
+    requestLogger.error('Internal server error', {
+      error: err.message,
+      stack: err.stack,
+    });
+  } else if (appError.statusCode >= 500) {
+    requestLogger.error(appError.message, {
+      code: appError.code,
+      details: appError.details,
+    });
+  } else {
+    requestLogger.warn(appError.message, {
+      code: appError.code,
+      details: appError.details,
+    });
+  }
+
+  res.status(appError.statusCode).json({
+    success: false,
+    error: {
+      code: appError.code,
+      message: appError.message,
+      details: appError.details,
+    },
+    requestId: res.locals.requestId || req.headers['x-request-id'],
+  });
+};
+
+export { errorHandler };
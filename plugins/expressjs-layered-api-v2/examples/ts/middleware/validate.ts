@@ -0,0 +1,69 @@
+import type { RequestHandler } from 'express';
+import { ZodError, ZodType } from 'zod';
+import type { ZodIssue } from 'zod';
+import { BadRequestError, ValidationError } from '../utils/errors.js';
+
+const REQUEST_PARTS = ['params', 'query', 'body'] as const;
+
+type RequestPart = typeof REQUEST_PARTS[number];
+type RequestSchemas = Partial<Record<RequestPart, ZodType>>;
+
+// Handlers after validate() declare the parsed types themselves, e.g.
+// RequestHandler<SubscriberIdParams, unknown, UpdateSubscriberInput>
+type ValidateMiddleware = RequestHandler<any, any, any, any> & { schemas: RequestSchemas };
+
+// Validates each request part against its own schema and reports every issue at once
+const validate = (schemas: RequestSchemas): ValidateMiddleware => {
+  if (schemas instanceof ZodType) {
+    throw new Error('validate() expects an object of schemas: validate({ params, query, body })');
+  }
+
+  const middleware: RequestHandler<any, any, any, any> = (req, res, next) => {
+    const issues: ZodIssue[] = [];
+    const parsed: Partial<Record<RequestPart, unknown>> = {};
+
+    REQUEST_PARTS.forEach((part) => {
+      const schema = schemas[part];
+      if (!schema) {
+        return;
+      }
+
+      const result = schema.safeParse(req[part] || {});
+
+      if (result.success) {
+        parsed[part] = result.data;
+      } else {
+        issues.push(...result.error.issues.map((issue) => ({
+          ...issue,
+          path: [part, ...issue.path],
+        })));
+      }
+    });
+
+    // A path that fails its params schema (a malformed ID) names no resource: 400. Invalid
+    // query strings and bodies are 422.
+    if (issues.some((issue) => issue.path[0] === 'params')) {
+      return next(new BadRequestError(new ZodError(issues)));
+    }
+    if (issues.length > 0) {
+      return next(new ValidationError(new ZodError(issues)));
+    }
+
+    Object.entries(parsed).forEach(([part, data]) => {
+      // Express 5 exposes req.query as a getter, so shadow it instead of assigning
+      Object.defineProperty(req, part, {
+        value: data,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    });
+
+    next();
+  };
+
+  // Exposed so the OpenAPI generator can document the route
+  return Object.assign(middleware, { schemas });
+};
+
+export { validate };
@@ -0,0 +1,39 @@
+import type { Knex } from 'knex';
+
+/**
+ * Create audit_log table
+ */
+export function up(knex: Knex) {
+  return knex.schema.createTable('audit_log', (table) => {
+    table.string('id').primary();
+
+    // The changed record: entity name (subscribers), its id, and create, update, delete,
+    // restore, or purge
+    table.string('entity').notNullable();
+    table.string('entity_id').notNullable();
+    table.string('action', 16).notNullable();
+
+    // Who made the change (user id, API client, admin key) and the request that made it;
+    // actor_type is system for changes made outside a request
+    table.string('actor_id');
+    table.string('actor_type', 32).notNullable();
+    table.string('request_id', 128);
+
+    // Values of the changed columns before and after, with sensitive fields masked
+    table.jsonb('before');
+    table.jsonb('after');
+
+    // Entries are never deleted; purging the record erases their before and after
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+
+    // History of one record
+    table.index(['entity', 'entity_id']);
+  });
+}
+
+/**
+ * Drop audit_log table
+ */
+export function down(knex: Knex) {
+  return knex.schema.dropTable('audit_log');
+}
@@ -0,0 +1,28 @@
+import type { Knex } from 'knex';
+
+/**
+ * Create idempotency_keys table
+ */
+export function up(knex: Knex) {
+  return knex.schema.createTable('idempotency_keys', (table) => {
+    // SHA-256 of the caller and the Idempotency-Key header
+    table.string('key').primary();
+
+    // SHA-256 of method, URL, and body; a reused key must match it
+    table.string('request_hash', 64).notNullable();
+
+    // Stored response (null while the first request is in progress)
+    table.integer('status_code');
+    table.jsonb('response_body');
+
+    // Keys expire 24 hours after creation; idempotency() deletes the expired ones by it
+    table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable().index();
+  });
+}
+
+/**
+ * Drop idempotency_keys table
+ */
+export function down(knex: Knex) {
+  return knex.schema.dropTable('idempotency_keys');
+}
@@ -0,0 +1,24 @@
+import type { RequestHandler } from 'express';
+import * as auditLogService from '../../entities/audit-log/audit-log.service.js';
+import type { ListAuditEntriesQuery } from '../../entities/audit-log/audit-log.validators.js';
+
+const getAuditEntries: RequestHandler<unknown, unknown, unknown, ListAuditEntriesQuery> = async (req, res, next) => {
+  try {
+    const logger = res.locals.logger.child({ module: 'audit' });
+    logger.info('Fetching audit entries', { query: req.query });
+
+    const { data, meta } = await auditLogService.getAuditEntries(req.query);
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export {
+  getAuditEntries,
+};
@@ -0,0 +1,9 @@
+import express from 'express';
+import * as healthController from './health.controller.js';
+
+const router = express.Router();
+
+// GET /api/v1/health
+router.get('/', healthController.getHealth);
+
+export default router;
@@ -0,0 +1,16 @@
+import type { RequestHandler } from 'express';
+
+// Entry point of the API; lists where to go next
+const getHome: RequestHandler = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      status: 'ok',
+      health: `${req.baseUrl}/health`,
+    },
+  });
+};
+
+export {
+  getHome,
+};
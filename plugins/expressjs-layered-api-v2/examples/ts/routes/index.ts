@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import type { Express } from 'express';
+
+const ROUTES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// .ts under tsx or ts-node, .js once compiled; declaration files are skipped
+const ROUTES_FILE = /\.routes\.(ts|js)$/;
+const DECLARATION_FILE = /\.d\.ts$/;
+
+const HOME_MODULE = 'home';
+
+// {module}.routes.ts mounts at {prefix}/{module}; {module}.{group}.routes.ts at
+// {prefix}/{group}/{module}, e.g. subscribers.admin.routes.ts → /api/v1/admin/subscribers.
+// The home module mounts at the prefix itself: home.routes.ts → /api/v1.
+// scripts/create-openapi.js documents the routes at the paths this returns.
+const mountPathFor = (prefix: string, fileName: string) => {
+  const [name, ...groups] = fileName.replace(ROUTES_FILE, '').split('.');
+  return [prefix, ...groups, ...(name === HOME_MODULE ? [] : [name])].join('/');
+};
+
+// Every src/routes/{module}/*.routes.ts, deepest mount paths first so that a
+// module's routes never shadow a nested group (e.g. /admin/subscribers)
+const discoverRoutes = (prefix: string) => fs.readdirSync(ROUTES_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .flatMap((entry) => fs.readdirSync(path.join(ROUTES_DIR, entry.name))
+    .filter((fileName) => ROUTES_FILE.test(fileName) && !DECLARATION_FILE.test(fileName))
+    .map((fileName) => ({
+      mountPath: mountPathFor(prefix, fileName),
+      file: path.join(ROUTES_DIR, entry.name, fileName),
+    })))
+  .sort((a, b) => b.mountPath.split('/').length - a.mountPath.split('/').length
+    || a.mountPath.localeCompare(b.mountPath));
+
+// Mounts every routes module on the app and resolves to the mount paths. The prefix
+// defaults to API_PREFIX, then /api/v1. Route modules are imported asynchronously,
+// so await it before registering the error handler: `await registerRoutes(app)`.
+const registerRoutes = async (app: Express, { prefix = process.env.API_PREFIX || '/api/v1' } = {}) => {
+  const routes = discoverRoutes(prefix.replace(/\/$/, ''));
+  const mounted = new Map<string, string>();
+
+  for (const { mountPath, file } of routes) {
+    if (mounted.has(mountPath)) {
+      throw new Error(`${file} and ${mounted.get(mountPath)} both mount at ${mountPath}`);
+    }
+
+    const { default: router } = await import(pathToFileURL(file).href);
+    if (typeof router !== 'function') {
+      throw new Error(`${file} must export an Express router as its default export`);
+    }
+
+    app.use(mountPath, router);
+    mounted.set(mountPath, file);
+  }
+
+  return [...mounted.keys()];
+};
+
+export { registerRoutes, mountPathFor };
@@ -0,0 +1,52 @@
+import { app } from './app.js';
+import { db } from './config/database.js';
+import { env } from './config/env.js';
+import { logger } from './config/logger.js';
+
+const server = app.listen(env.PORT, () => {
+  logger.info('Server listening', { port: env.PORT, environment: env.NODE_ENV });
+});
+
+let shuttingDown = false;
+
+// Stops accepting connections, lets open requests finish, then closes the database pool.
+// Exits anyway after SHUTDOWN_TIMEOUT_MS, e.g. when a client holds a connection open.
+const shutdown = (signal: string, exitCode = 0) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting', { timeoutMs: env.SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, env.SHUTDOWN_TIMEOUT_MS).unref();
+
+  server.close(async (serverError) => {
+    try {
+      await db.destroy();
+    } catch (error) {
+      logger.error('Failed to close the database pool', { error: (error as Error).message });
+      process.exit(1);
+    }
+
+    if (serverError) {
+      logger.error('Failed to close the server', { error: serverError.message });
+      process.exit(1);
+    }
+
+    logger.info('Shutdown complete');
+    process.exit(exitCode);
+  });
+
+  // Idle keep-alive connections would otherwise hold server.close() open
+  server.closeIdleConnections();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection', { error: reason instanceof Error ? reason.stack : String(reason) });
+  shutdown('unhandledRejection', 1);
+});
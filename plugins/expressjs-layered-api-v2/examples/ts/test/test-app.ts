@@ -0,0 +1,18 @@
+import express from 'express';
+import type { Router } from 'express';
+import { errorHandler } from '../middleware/error-handler.js';
+import { requestContext } from '../middleware/request-context.js';
+
+// Minimal app around a single router, with the same request context and error handling as src/app.ts
+const createTestApp = (basePath: string, router: Router) => {
+  const app = express();
+
+  app.use(requestContext());
+  app.use(express.json());
+  app.use(basePath, router);
+  app.use(errorHandler);
+
+  return app;
+};
+
+export { createTestApp };
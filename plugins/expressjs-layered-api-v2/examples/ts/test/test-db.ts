@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import type { Knex } from 'knex';
+import { DataType, newDb } from 'pg-mem';
+import type { IBackup } from 'pg-mem';
+
+// Jest runs from the project root
+const MIGRATIONS_DIR = path.join(process.cwd(), 'src', 'database', 'migrations');
+
+const mem = newDb();
+
+// Rewrites DDL that pg-mem cannot run as-is:
+// - knex renders boolean defaults as '0'/'1', which pg-mem would store as strings
+// - knex quotes integer defaults, e.g. version's default '1', which pg-mem would also store as strings
+// - pg-mem rejects decimal precision and scale, e.g. decimal(8, 2)
+const PG_MEM_REWRITES: [RegExp, string | ((match: string, ...groups: string[]) => string)][] = [
+  [/(boolean[^,]*default )'([01])'/gi, (match, prefix, value) => `${prefix}${value === '1'}`],
+  [/(integer[^,]*default )'(-?\d+)'/gi, '$1$2'],
+  [/\b(decimal|numeric)\(\d+,\s*\d+\)/gi, '$1'],
+];
+
+// pg-mem cannot parse the savepoints of nested transactions (trx.transaction()), which
+// the bulk operations run each item in; a savepoint keeps a backup to restore on rollback
+const SAVEPOINT_QUERY = /^\s*(SAVEPOINT|ROLLBACK TO SAVEPOINT|RELEASE SAVEPOINT)\s+(\w+)/i;
+const savepoints = new Map<string, IBackup>();
+
+const runSavepointQuery = (command: string, name: string) => {
+  switch (command.toUpperCase()) {
+    case 'SAVEPOINT':
+      savepoints.set(name, mem.backup());
+      break;
+    case 'ROLLBACK TO SAVEPOINT':
+      savepoints.get(name)?.restore();
+      break;
+    default:
+      savepoints.delete(name);
+  }
+};
+
+// paginate() (utils/pagination) reads the sort column as text with concat(), which pg-mem
+// only has for strings; dates come out as ISO strings, with pg-mem's milliseconds
+const CONCAT_TYPES = [DataType.integer, DataType.bigint, DataType.float, DataType.decimal, DataType.timestamptz, DataType.timestamp, DataType.date];
+
+CONCAT_TYPES.forEach((type) => {
+  mem.public.registerFunction({
+    name: 'concat',
+    args: [type],
+    returns: DataType.text,
+    implementation: (value: unknown) => (value instanceof Date ? value.toISOString() : String(value)),
+  });
+});
+
+mem.public.interceptQueries((sql) => {
+  const savepoint = sql.match(SAVEPOINT_QUERY);
+  if (savepoint) {
+    runSavepointQuery(savepoint[1], savepoint[2]);
+    return [];
+  }
+
+  if (!PG_MEM_REWRITES.some(([pattern]) => sql.match(pattern))) {
+    return null;
+  }
+
+  mem.public.none(PG_MEM_REWRITES.reduce((query, [pattern, replacement]) => query.replace(pattern, replacement as string), sql));
+  return [];
+});
+
+// In-memory PostgreSQL; mock `config/database` with this module in tests
+const db: Knex = mem.adapters.createKnex();
+
+// Loads migrations through Jest's module system, so they are transformed like the
+// tests; Knex cannot load TypeScript migrations itself under Jest
+const migrationSource: Knex.MigrationSource<string> = {
+  getMigrations: async () => fs.readdirSync(MIGRATIONS_DIR).filter((file) => file.endsWith('.ts')).sort(),
+  getMigrationName: (migration) => migration,
+  getMigration: (migration) => import(path.join(MIGRATIONS_DIR, migration)),
+};
+
+let snapshot: IBackup;
+
+const setupTestDb = async () => {
+  await db.migrate.latest({ migrationSource });
+  snapshot = mem.backup();
+};
+
+// Restores the freshly migrated, empty database
+const resetTestDb = () => {
+  snapshot.restore();
+};
+
+const teardownTestDb = () => db.destroy();
+
+export {
+  db,
+  setupTestDb,
+  resetTestDb,
+  teardownTestDb,
+};
@@ -0,0 +1,164 @@
+import type { Knex } from 'knex';
+import { z } from 'zod';
+import { AppError, ConflictError, ValidationError } from './errors.js';
+
+// Items one bulk request may carry; larger imports are sent in several requests
+const BULK_MAX_ITEMS = 1000;
+
+interface BulkSuccess<T> {
+  index: number;
+  success: true;
+  data: T;
+}
+
+interface BulkFailure {
+  index: number;
+  success: false;
+  error: { code: string; message: string; details?: unknown };
+}
+
+type BulkResult<T> = BulkSuccess<T> | BulkFailure;
+
+interface BulkResponse<T> {
+  data: BulkResult<T>[];
+  meta: { total: number; succeeded: number; failed: number };
+}
+
+// Array rule of a bulk body: 1 to BULK_MAX_ITEMS items, each checked with `itemSchema`.
+// `unique` picks the value no two items may share, e.g. (item) => item.id; the issue
+// names the later item, so clients can drop it and resend.
+const bulkItems = <T extends z.ZodTypeAny>(
+  itemSchema: T,
+  { unique }: { unique?: (item: z.output<T>) => unknown } = {}
+) => z.array(itemSchema)
+  .min(1)
+  .max(BULK_MAX_ITEMS)
+  .superRefine((items, ctx) => {
+    if (!unique) {
+      return;
+    }
+
+    const firstIndex = new Map<unknown, number>();
+    items.forEach((item, index) => {
+      const value = unique(item);
+      if (value === undefined) {
+        return;
+      }
+      if (firstIndex.has(value)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [index],
+          message: `Duplicate of item ${firstIndex.get(value)}`,
+        });
+        return;
+      }
+      firstIndex.set(value, index);
+    });
+  });
+
+// Outcome of one item, by its position in the request
+const bulkSuccess = <T>(index: number, data: T): BulkSuccess<T> => ({ index, success: true, data });
+
+// `error` is an AppError (utils/errors), reported with its code as the error handler would
+const bulkFailure = (index: number, error: AppError): BulkFailure => ({
+  index,
+  success: false,
+  error: {
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details }),
+  },
+});
+
+// Body of a bulk response: the outcomes in request order, and their counts
+const bulkResponse = <T>(results: BulkResult<T>[]): BulkResponse<T> => {
+  const failed = results.filter((result) => !result.success).length;
+
+  return {
+    data: results,
+    meta: { total: results.length, succeeded: results.length - failed, failed },
+  };
+};
+
+// Constraint violations that fail one item instead of the request, mapped like the
+// error handler maps them
+const PG_UNIQUE_VIOLATION = '23505';
+const PG_FOREIGN_KEY_VIOLATION = '23503';
+
+const toItemError = (error: unknown): AppError | null => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const { code, detail } = error as { code?: string; detail?: string };
+  if (code === PG_UNIQUE_VIOLATION) {
+    return new ConflictError();
+  }
+  if (code === PG_FOREIGN_KEY_VIOLATION) {
+    return /still referenced/.test(detail || '')
+      ? new ConflictError('Resource is still referenced')
+      : new ValidationError('Referenced resource does not exist');
+  }
+  return null;
+};
+
+type Attempt<T> = { value: T; error?: undefined } | { value?: undefined; error: AppError };
+
+// Runs one item's writes in a savepoint of the request's transaction `tx`. An AppError or
+// a constraint violation (a taken unique value, a missing referenced row) rolls back that
+// item only and comes back as `{ error }`; any other error still fails the request.
+const inSavepoint = async <T>(tx: Knex, work: (sp: Knex) => Promise<T>): Promise<Attempt<T>> => {
+  try {
+    return { value: await tx.transaction(work) };
+  } catch (error) {
+    const itemError = toItemError(error);
+    if (!itemError) {
+      throw error;
+    }
+    return { error: itemError };
+  }
+};
+
+// Writes `rows` with one batched `write(rows, trx)`. When an item error fails the batch,
+// each row is written in a savepoint of its own, so only the rows at fault fail; their
+// errors are returned by row id.
+const writeBatch = async <Row extends { id: string }, T>(
+  tx: Knex,
+  rows: Row[],
+  write: (rows: Row[], trx: Knex) => Promise<T[]>
+): Promise<{ records: T[]; errors: Map<string, AppError> }> => {
+  const batch = await inSavepoint(tx, (sp) => write(rows, sp));
+  if (!batch.error) {
+    return { records: batch.value, errors: new Map() };
+  }
+
+  const records: T[] = [];
+  const errors = new Map<string, AppError>();
+  for (const row of rows) {
+    const attempt = await inSavepoint(tx, (sp) => write([row], sp));
+    if (attempt.error) {
+      errors.set(row.id, attempt.error);
+    } else {
+      records.push(...attempt.value);
+    }
+  }
+  return { records, errors };
+};
+
+export {
+  BULK_MAX_ITEMS,
+  bulkItems,
+  bulkSuccess,
+  bulkFailure,
+  bulkResponse,
+  inSavepoint,
+  writeBatch,
+};
+
+export type {
+  Attempt,
+  BulkSuccess,
+  BulkFailure,
+  BulkResult,
+  BulkResponse,
+};
@@ -0,0 +1,96 @@
+import { ZodError } from 'zod';
+
+interface AppErrorOptions {
+  statusCode?: number;
+  code?: string;
+  details?: unknown;
+}
+
+class AppError extends Error {
+  statusCode: number;
+  code: string;
+  details?: unknown;
+
+  constructor(message: string, { statusCode = 500, code = 'INTERNAL_ERROR', details }: AppErrorOptions = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details?: unknown) {
+    super(message, { statusCode: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', details?: unknown) {
+    super(message, { statusCode: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details?: unknown) {
+    super(message, { statusCode: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', details?: unknown) {
+    super(message, { statusCode: 409, code: 'CONFLICT', details });
+  }
+}
+
+// Details of a ZodError: one { field, message } per issue
+const issueDetails = (zodError: ZodError) => zodError.issues.map((issue) => ({
+  field: issue.path.join('.'),
+  message: issue.message,
+}));
+
+class BadRequestError extends AppError {
+  // A request the route cannot address, such as a malformed ID in the path. Accepts a
+  // message or a ZodError, like ValidationError
+  constructor(messageOrZodError: string | ZodError = 'Bad request', details?: unknown) {
+    const zodError = messageOrZodError instanceof ZodError ? messageOrZodError : null;
+
+    super(zodError ? 'Invalid path parameters' : (messageOrZodError as string), {
+      statusCode: 400,
+      code: 'BAD_REQUEST',
+      details: zodError ? issueDetails(zodError) : details,
+    });
+
+    if (zodError) {
+      this.cause = zodError;
+    }
+  }
+}
+
+class ValidationError extends AppError {
+  // Accepts a message or a ZodError, whose issues become the error details
+  constructor(messageOrZodError: string | ZodError = 'Validation failed', details?: unknown) {
+    const zodError = messageOrZodError instanceof ZodError ? messageOrZodError : null;
+
+    super(zodError ? 'Validation failed' : (messageOrZodError as string), {
+      statusCode: 422,
+      code: 'VALIDATION_FAILED',
+      details: zodError ? issueDetails(zodError) : details,
+    });
+
+    if (zodError) {
+      this.cause = zodError;
+    }
+  }
+}
+
+export {
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+  ValidationError,
+};
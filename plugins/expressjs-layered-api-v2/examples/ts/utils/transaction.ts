@@ -0,0 +1,14 @@
+import type { Knex } from 'knex';
+import { db } from '../config/database.js';
+
+// Runs a unit of work in a transaction. When the caller already holds a
+// transaction it is reused, so services can be composed into one atomic write.
+const withTransaction = <T>(trx: Knex | undefined, work: (tx: Knex) => Promise<T>): Promise<T> => {
+  if (trx) {
+    return work(trx);
+  }
+
+  return db.transaction(work);
+};
+
+export { withTransaction };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { z } = require('zod');
+const { ID_PREFIXES } = require('./id-prefixes');
+
+// Crockford's base32 in lowercase: no i, l, o, or u, so IDs read back without mix-ups
+const ENCODING = '0123456789abcdefghjkmnpqrstvwxyz';
+const TIME_LENGTH = 10; // milliseconds since 1970
+const RANDOM_LENGTH = 16; // 80 random bits
+// 10 characters hold 50 bits; a 48-bit timestamp starts with 0-7
+const BODY_PATTERN = `[0-7][${ENCODING}]{${TIME_LENGTH + RANDOM_LENGTH - 1}}`;
+const PREFIX = /^[a-z][a-z0-9]{0,7}$/;
+const ID = new RegExp(`^([a-z][a-z0-9]{0,7})_(${BODY_PATTERN})$`);
+
+const ENTITY_BY_PREFIX = Object.fromEntries(Object.entries(ID_PREFIXES).map(([entity, prefix]) => [prefix, entity]));
+
+let lastTime = 0;
+let lastRandom = [];
+
+const encodeTime = (time) => {
+  let remaining = time;
+  let encoded = '';
+  for (let index = 0; index < TIME_LENGTH; index += 1) {
+    encoded = ENCODING[remaining % 32] + encoded;
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded;
+};
+
+// IDs from the same millisecond increment the previous random part, so they still sort
+// in the order they were generated
+const nextRandom = (time) => {
+  if (time > lastTime) {
+    lastTime = time;
+    lastRandom = Array.from({ length: RANDOM_LENGTH }, () => crypto.randomInt(32));
+    return lastRandom;
+  }
+
+  let index = RANDOM_LENGTH - 1;
+  while (index >= 0 && lastRandom[index] === 31) {
+    lastRandom[index] = 0;
+    index -= 1;
+  }
+  if (index < 0) {
+    throw new Error('Too many IDs generated in one millisecond');
+  }
+  lastRandom[index] += 1;
+  return lastRandom;
+};
+
+// Time-sortable id with the entity's prefix (src/utils/id-prefixes.js),
+// e.g. generateShortUID('sub') → sub_01j9z3k8f4q7r2m6n5p0t8v1wx
+const generateShortUID = (prefix) => {
+  if (!PREFIX.test(prefix)) {
+    throw new Error(`Invalid ID prefix "${prefix}"`);
+  }
+
+  // A clock that moves back keeps the last timestamp, so IDs never sort before earlier ones
+  const time = Math.max(Date.now(), lastTime);
+  const random = nextRandom(time).map((value) => ENCODING[value]).join('');
+  return `${prefix}_${encodeTime(time)}${random}`;
+};
+
+// { prefix, entity, createdAt } of a well-formed ID, or null; `entity` is null for a
+// prefix the registry does not list
+const parseId = (id) => {
+  const match = typeof id === 'string' ? ID.exec(id) : null;
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, body] = match;
+  const time = [...body.slice(0, TIME_LENGTH)].reduce((total, char) => total * 32 + ENCODING.indexOf(char), 0);
+  return { prefix, entity: ENTITY_BY_PREFIX[prefix] || null, createdAt: new Date(time) };
+};
+
+const isValidId = (id, prefix) => {
+  const parsed = parseId(id);
+  return parsed !== null && parsed.prefix === prefix;
+};
+
+// Zod rule for the IDs of one entity: subscriberIdSchema = z.object({ id: idSchema('sub') })
+const idSchema = (prefix) => z.string().regex(new RegExp(`^${prefix}_${BODY_PATTERN}$`), {
+  message: `Invalid ID, expected ${prefix}_ followed by ${TIME_LENGTH + RANDOM_LENGTH} characters`,
+});
+
+module.exports = {
+  generateShortUID,
+  parseId,
+  isValidId,
+  idSchema,
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Compares a secret from a request with the expected one in constant time, so the
+// response time does not reveal how much of it matched
+const safeEqual = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+
+  return providedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+module.exports = { safeEqual };
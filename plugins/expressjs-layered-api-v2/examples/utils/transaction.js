@@ -0,0 +1,13 @@
+const { db } = require('../config/database');
+
+// Runs a unit of work in a transaction. When the caller already holds a
+// transaction it is reused, so services can be composed into one atomic write.
+const withTransaction = (trx, work) => {
+  if (trx) {
+    return work(trx);
+  }
+
+  return db.transaction(work);
+};
+
+module.exports = { withTransaction };
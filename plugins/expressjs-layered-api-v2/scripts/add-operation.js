@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Script to add an operation file to an operations-pattern entity and register it in index.js
+ * Usage: node scripts/add-operation.js <entity-name> <operation-name> [--cjs | --esm | --ts] [--dry-run] [--force]
+ * Example: node scripts/add-operation.js job-posts findTopX
+ *
+ * The entity must use the alternative pattern (index.js plus one file per operation),
+ * e.g. one generated with `create-entity.js <entity> --pattern=operations`.
+ * --force replaces an existing operation file with the skeleton; --dry-run prints
+ * the new file and the index.js change without writing them. The module format
+ * follows the project unless --cjs, --esm, or --ts is given (see scripts/lib/target.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detectPattern } = require('./lib/entity-patterns');
+const { toCamelCase } = require('./lib/inflection');
+const { parseTarget, importPath } = require('./lib/target');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+
+const args = process.argv.slice(2);
+const [entityName, operationName] = args.filter((arg) => !arg.startsWith('--'));
+
+if (!entityName || !operationName) {
+  console.error('Error: Entity name and operation name are required');
+  console.log('Usage: node scripts/add-operation.js <entity-name> <operation-name> [--cjs | --esm | --ts] [--dry-run] [--force]');
+  console.log('Example: node scripts/add-operation.js job-posts findTopX');
+  process.exit(1);
+}
+
+if (!/^[a-z][A-Za-z0-9]*$/.test(operationName)) {
+  console.error(`Error: Invalid operation name "${operationName}". Use camelCase, e.g. findTopX`);
+  process.exit(1);
+}
+
+let target;
+let writer;
+try {
+  target = parseTarget(args);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+const { ext } = target;
+const camelName = toCamelCase(entityName);
+const entityPath = path.join('src', 'entities', entityName);
+const entityDir = path.join(process.cwd(), entityPath);
+const indexFile = path.join(entityDir, `index${ext}`);
+const operationFile = path.join(entityDir, `${operationName}${ext}`);
+
+if (!fs.existsSync(entityDir)) {
+  console.error(`Error: Entity "${entityName}" does not exist at ${entityDir}`);
+  process.exit(1);
+}
+
+if (detectPattern(entityDir) !== 'operations') {
+  console.error(`Error: Entity "${entityName}" has no index${ext}; add-operation only works with the operations pattern`);
+  console.log(`Add the function to ${entityName}.service${ext} instead`);
+  process.exit(1);
+}
+
+if (fs.existsSync(operationFile) && writer.mode === 'create') {
+  console.error(`Error: Operation "${operationName}" already exists at ${operationFile}`);
+  console.log('Rerun with --force to replace it with the skeleton');
+  process.exit(1);
+}
+
+// `const {binding} = require('{specifier}');` or `import {binding} from '{specifier}.js';`
+const importLine = (binding, specifier) => (target.esm
+  ? `import ${binding} from '${importPath(target, specifier)}';`
+  : `const ${binding} = require('${specifier}');`);
+
+// Register the operation in the index: an import after the last one, an entry in the exports
+const indexSource = fs.readFileSync(indexFile, 'utf8');
+const importPattern = target.esm
+  ? /^import \{ \w+ \} from '\.\/[\w.-]+\.js';$/gm
+  : /^const \{ \w+ \} = require\('\.\/[\w.-]+'\);$/gm;
+const exportsPattern = target.esm ? /^export \{\n([\s\S]*?)\};/m : /module\.exports = \{\n([\s\S]*?)\};/;
+const imports = [...indexSource.matchAll(importPattern)];
+const exportsMatch = indexSource.match(exportsPattern);
+const operationImport = importLine(`{ ${operationName} }`, `./${operationName}`);
+
+if (imports.length === 0 || !exportsMatch) {
+  console.error(`Error: Could not find the import list and exports object in index${ext}`);
+  console.log(`Register the operation by hand:`);
+  console.log(`  ${operationImport}`);
+  process.exit(1);
+}
+
+const lastImport = imports[imports.length - 1];
+const importEnd = lastImport.index + lastImport[0].length;
+const withImport = `${indexSource.slice(0, importEnd)}
+${operationImport}${indexSource.slice(importEnd)}`;
+
+// Already registered when the operation file is being replaced
+const updatedIndex = indexSource.includes(`'${importPath(target, `./${operationName}`)}'`)
+  ? indexSource
+  : withImport.replace(
+    exportsPattern,
+    (match, entries) => `${target.esm ? 'export' : 'module.exports ='} {\n${entries}  ${operationName},\n};`
+  );
+
+// Reuse the entity's repository and first mapper when it has them
+const repositoryFile = `${entityName}.repository${ext}`;
+const hasRepository = fs.existsSync(path.join(entityDir, repositoryFile));
+const mapToFile = path.join(entityDir, `mapTo${ext}`);
+const mapperMatch = fs.existsSync(mapToFile)
+  ? fs.readFileSync(mapToFile, 'utf8').match(/^const (mapTo\w+) =/m)
+  : null;
+
+const operationImports = [
+  mapperMatch && importLine(`{ ${mapperMatch[1]} }`, './mapTo'),
+  hasRepository && importLine(`${target.esm ? '* as ' : ''}${camelName}Repository`, `./${entityName}.repository`),
+].filter(Boolean);
+
+const operationExport = target.esm ? `export { ${operationName} };` : `module.exports = { ${operationName} };`;
+
+const operationContent = `${operationImports.length > 0 ? `${operationImports.join('\n')}\n\n` : ''}const ${operationName} = async () => {
+  // TODO: Implement ${operationName}
+};
+
+${operationExport}
+`;
+
+writer.write(path.join(entityPath, `${operationName}${ext}`), operationContent);
+writer.update(path.join(entityPath, `index${ext}`), updatedIndex);
+
+console.log(writer.headline(`Operation "${operationName}"`, `in ${entityName}`));
+writer.report();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
+
+console.log('\nNext steps:');
+console.log(`  1. Implement ${operationName} in ${path.join('src', 'entities', entityName, `${operationName}${ext}`)}`);
+console.log(`  2. Call it from a controller: ${camelName}Operations.${operationName}()`);
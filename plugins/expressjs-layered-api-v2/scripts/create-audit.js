@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Script to add the audit log that records who changed which entity record
+ * Usage: node scripts/create-audit.js [--auth] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
+ * Example: node scripts/create-audit.js
+ * Example: node scripts/create-audit.js --auth
+ *
+ * Creates:
+ *   - src/entities/audit-log/   recordAudit(action, change, trx) for the services, and the reads
+ *   - src/routes/audit/         GET /api/v1/audit?entity=&id=, behind the admin key, or the
+ *     admin role with --auth or in projects with src/middleware/auth.js
+ *   - a create_audit_log_table migration, unless the project has one
+ *   - the `audit` ID prefix in src/utils/id-prefixes.js
+ *
+ * Entities opt in with create-entity.js --audit: their create, update, delete, restore,
+ * and purge operations then call recordAudit in the transaction of the change. The actor
+ * is the caller the auth middleware or the admin key check recorded in the request
+ * context (src/middleware/request-context.js). See references/audit.md.
+ *
+ * --force and --merge apply to the audit-log and audit module files; the migration
+ * and the shared files are created once and never overwritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readExample } = require('./lib/project-files');
+const {
+  registryPath,
+  readIdPrefixes,
+  assignIdPrefix,
+  registrySource,
+} = require('./lib/id-prefixes');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+const { parseTarget, sourceFile } = require('./lib/target');
+const { renderTemplate, reportTemplateOverrides } = require('./lib/templates');
+
+const ENTITY_NAME = 'audit-log';
+const ID_PREFIX = 'audit';
+
+// Regenerated with --force or --merge like generated code
+const AUDIT_FILES = [
+  path.join('entities', 'audit-log', 'audit-log.repository.js'),
+  path.join('entities', 'audit-log', 'audit-log.dtos.js'),
+  path.join('entities', 'audit-log', 'audit-log.validators.js'),
+  path.join('entities', 'audit-log', 'audit-log.service.js'),
+  path.join('routes', 'audit', 'audit.controller.js'),
+];
+
+// Rendered from templates/audit/, as the guard depends on the project's authentication
+const AUDIT_TEMPLATES = [
+  ['audit/routes', path.join('routes', 'audit', 'audit.routes.js')],
+  ['audit/routes.test', path.join('routes', 'audit', 'audit.routes.test.js')],
+];
+
+// Shared files the audit files import, copied on first use
+const SHARED_FILES = [
+  path.join('config', 'logger.js'),
+  path.join('middleware', 'request-context.js'),
+  path.join('middleware', 'validate.js'),
+  path.join('middleware', 'error-handler.js'),
+  path.join('utils', 'errors.js'),
+  path.join('utils', 'safe-equal.js'),
+  path.join('utils', 'pagination.js'),
+  path.join('utils', 'id-generator.js'),
+  path.join('routes', 'index.js'),
+  path.join('test', 'test-db.js'),
+  path.join('test', 'test-app.js'),
+];
+
+const args = process.argv.slice(2);
+
+let target;
+let writer;
+let idPrefixes;
+try {
+  target = parseTarget(args);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+  idPrefixes = readIdPrefixes(target);
+  assignIdPrefix(ENTITY_NAME, idPrefixes, ID_PREFIX);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+const auditDir = path.join(process.cwd(), 'src', 'entities', ENTITY_NAME);
+if (fs.existsSync(auditDir) && writer.mode === 'create') {
+  console.error(`Error: The audit log already exists at ${auditDir}`);
+  console.log('Rerun with --merge to add what is missing, or --force to overwrite it');
+  process.exit(1);
+}
+
+// Projects that sign callers in (create-module.js --auth) guard the log with the admin role
+// like their admin routes; the others with the X-Admin-Key header
+const adminAuth = args.includes('--auth') || fs.existsSync(path.join(process.cwd(), 'src', 'middleware', `auth${target.ext}`));
+
+// Project templates may be broken, so rendering errors end the script like bad arguments
+let auditModuleFiles;
+try {
+  auditModuleFiles = AUDIT_TEMPLATES.map(([name, file]) => [
+    sourceFile(target, path.join('src', file)),
+    renderTemplate(`${name}${target.ext}`, { esm: target.esm, adminAuth }),
+  ]);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Write files
+AUDIT_FILES.forEach((file) => writer.write(sourceFile(target, path.join('src', file)), readExample(file, target)));
+auditModuleFiles.forEach(([file, content]) => writer.write(file, content));
+writer.ensureExampleMigration('migration-create-audit-log.js', 'create_audit_log_table');
+writer.update(registryPath(target), registrySource({ ...idPrefixes, [ENTITY_NAME]: ID_PREFIX }, target));
+SHARED_FILES.forEach((file) => writer.ensureExample(file, path.join('src', file)));
+const guardFile = path.join('middleware', adminAuth ? 'auth.js' : 'require-admin.js');
+writer.ensureExample(guardFile, path.join('src', guardFile));
+
+console.log(writer.headline('Audit log', `at ${auditDir}`));
+writer.report();
+reportTemplateOverrides();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
+
+console.log('\nRoutes (mounted by src/routes/index, default prefix):');
+console.log(`  - GET /api/v1/audit?entity=&id=&action=&actorId=  ${adminAuth ? 'admin role' : 'X-Admin-Key'} required`);
+
+// Shared files copied before the audit log lack what it relies on
+const { ext } = target;
+const projectSource = (file) => {
+  const filePath = path.join(process.cwd(), 'src', `${file}${ext}`);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+};
+const requestContextSource = projectSource(path.join('middleware', 'request-context'));
+const authSource = projectSource(path.join('middleware', 'auth'));
+const requireAdminSource = projectSource(path.join('middleware', 'require-admin'));
+const loggerSource = projectSource(path.join('config', 'logger'));
+
+// The project's entities, to suggest one to opt in
+const entitiesDir = path.join(process.cwd(), 'src', 'entities');
+const entities = fs.existsSync(entitiesDir)
+  ? fs.readdirSync(entitiesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== ENTITY_NAME)
+    .map((entry) => entry.name)
+  : [];
+
+const nextSteps = [];
+if (writer.results.some((result) => result.differences)) {
+  nextSteps.push('Port the changes you want from the differences above by hand');
+}
+if (requestContextSource && !requestContextSource.includes('getRequestContext')) {
+  nextSteps.push(`Replace src/middleware/request-context${ext} with examples/middleware/request-context.js; entries take the request id and actor from its getRequestContext()`);
+}
+if (authSource && !authSource.includes('setActor')) {
+  nextSteps.push(`Call setActor({ id: user.id, type: user.type }) where src/middleware/auth${ext} sets req.user (examples/middleware/auth.js), or entries name no actor`);
+}
+if (requireAdminSource && !requireAdminSource.includes('setActor')) {
+  nextSteps.push(`Call setActor({ id: 'admin-key', type: 'adminKey' }) in src/middleware/require-admin${ext} once the key matches (examples/middleware/require-admin.js)`);
+}
+if (loggerSource && !loggerSource.includes('redact')) {
+  nextSteps.push(`Export redact() from src/config/logger${ext} (examples/config/logger.js); entries mask sensitive fields with it`);
+}
+nextSteps.push(
+  entities.length > 0
+    ? `Opt entities in with --audit when regenerating them, e.g.:
+     node scripts/create-entity.js ${entities[0]} <fields> --audit --merge`
+    : 'Opt entities in with --audit, e.g.: node scripts/create-entity.js subscribers email:email:unique --audit',
+  'Run migrations: npm run db:migrate',
+  adminAuth
+    ? 'Set JWT_SECRET (Bearer tokens) or API_KEYS (X-API-Key header) in .env; audit requests need the admin role (references/authentication.md)'
+    : 'Set ADMIN_API_KEY in .env; audit requests send it in the X-Admin-Key header',
+  'Run the tests: npx jest src/routes/audit'
+);
+
+console.log('\nNext steps:');
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
@@ -1,228 +1,590 @@
 #!/usr/bin/env node
 
 /**
- * Script to generate a standard entity with service, repository, validators, and DTOs
- * Usage: node scripts/create-entity.js <entity-name>
- * Example: node scripts/create-entity.js subscribers
+ * Script to generate an entity with service, repository, validators, DTOs,
+ * a companion Knex migration, a service test, and test fixtures
+ * Usage: node scripts/create-entity.js <entity-name> [field:type[?][:modifier...]...] [name:relation:entity...] [--pattern=standard|operations] [--id-prefix=<prefix>] [--audit] [--bulk] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
+ * Example: node scripts/create-entity.js subscribers email:email:unique:required referrer:string? score:int
+ * Example: node scripts/create-entity.js products name:string price:decimal --pattern=operations
+ * Example: node scripts/create-entity.js subscribers email:email:unique:required --ts
+ * Example: node scripts/create-entity.js jobs title:string category:belongsTo:job-categories tags:manyToMany:tags
+ *
+ * --pattern=operations writes one file per operation (create.js, findOne.js, ...)
+ * exported from index.js, and mapTo.js instead of {entity}.dtos.js
+ *
+ * Field types: string, text, email, url, int, bigint, float, decimal, boolean, date, datetime, json
+ * A trailing `?` on the type (or the `optional` modifier) makes the field optional
+ * Modifiers: required, optional, unique, index, default=<value> (column default)
+ *
+ * Relations (see scripts/lib/relations.js), to entities that exist already:
+ *   category:belongsTo[?]:job-categories  category_id foreign key; reads nest the category
+ *   jobs:hasMany:jobs[:category_id]       paged list of the jobs pointing at a record
+ *   tags:manyToMany:tags[:jobs_tags]      join table, with list, link, and unlink operations
+ *
+ * IDs start with a prefix no other entity uses (subscribers → sub_..., then
+ * subscriptions → subs_...), or the one given with --id-prefix, recorded in
+ * src/utils/id-prefixes.js (see scripts/lib/id-prefixes.js). The entity's Zod
+ * schemas reject IDs that do not parse or carry another prefix.
+ *
+ * --audit records every create, update, delete, and restore in the audit log (who, when,
+ * and the changed columns before and after) in the transaction of the change; a purge
+ * erases the values of the record's entries and records that it happened. Add the audit
+ * log once with scripts/create-audit.js. Regenerating keeps the audit calls of an
+ * audited entity unless --no-audit is given.
+ *
+ * --bulk adds create, update, and delete operations for many records at once, in one
+ * transaction with batched queries, and the array schemas of their request bodies;
+ * create-module.js --bulk exposes them as POST, PATCH, and DELETE /bulk. Regenerating
+ * keeps them unless --no-bulk is given.
+ *
+ * --cjs, --esm, and --ts choose CommonJS, ES module, or TypeScript output; without
+ * them the project decides (see scripts/lib/target.js)
+ *
+ * An existing entity is only regenerated with --force (overwrite every generated file)
+ * or --merge (add missing files and functions, print a diff for the rest).
+ * --dry-run prints the files and their contents without writing anything.
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const entityName = process.argv[2];
+const {
+  parseFields,
+  referenceField,
+  zodCreateLine,
+  zodUpdateLine,
+  zodQueryLine,
+  isFilterable,
+  isSortable,
+  sampleLine,
+  updatedSampleLine,
+  indexedSampleLine,
+  dtoLine,
+  recordLine,
+  typeLine,
+} = require('./lib/fields');
+const { MIGRATIONS_DIR, migrationFileName, createTableMigration } = require('./lib/migration');
+const { findProjectMigration, hasJestSetup } = require('./lib/project-files');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+const { PATTERNS, operationNames, detectPattern } = require('./lib/entity-patterns');
+const { entityNames, typeNames } = require('./lib/inflection');
+const {
+  registryPath,
+  readIdPrefixes,
+  assignIdPrefix,
+  idNames,
+  registrySource,
+} = require('./lib/id-prefixes');
+const {
+  isRelationSpec,
+  parseRelations,
+  relatedEntities,
+  relationSpec,
+} = require('./lib/relations');
+const { parseTarget, importPath, indexImportPath } = require('./lib/target');
+const { renderTemplate, reportTemplateOverrides } = require('./lib/templates');
+
+const args = process.argv.slice(2);
+const patternArg = args.find((arg) => arg.startsWith('--pattern='));
+const idPrefixArg = args.find((arg) => arg.startsWith('--id-prefix='));
+const [entityName, ...specs] = args.filter((arg) => !arg.startsWith('--'));
+const fieldSpecs = specs.filter((spec) => !isRelationSpec(spec));
+const relationSpecs = specs.filter(isRelationSpec);
 
 if (!entityName) {
   console.error('Error: Entity name is required');
-  console.log('Usage: node scripts/create-entity.js <entity-name>');
-  console.log('Example: node scripts/create-entity.js subscribers');
+  console.log('Usage: node scripts/create-entity.js <entity-name> [field:type[?][:modifier...]...] [name:relation:entity...] [--pattern=standard|operations] [--id-prefix=<prefix>] [--audit] [--bulk] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]');
+  console.log('Example: node scripts/create-entity.js subscribers email:email:unique:required referrer:string? score:int');
   process.exit(1);
 }
 
 const entityDir = path.join(process.cwd(), 'src', 'entities', entityName);
 
+// Regenerating an entity keeps its pattern unless --pattern is given
+const pattern = patternArg
+  ? patternArg.slice('--pattern='.length)
+  : (fs.existsSync(entityDir) ? detectPattern(entityDir) : 'standard');
+
+if (!PATTERNS.includes(pattern)) {
+  console.error(`Error: Unknown pattern "${pattern}". Supported patterns: ${PATTERNS.join(', ')}`);
+  process.exit(1);
+}
+
+// Regenerating an audited entity keeps its audit calls unless --no-audit is given
+const callsRecordAudit = (dir) => fs.readdirSync(dir)
+  .filter((file) => /\.[jt]s$/.test(file) && !file.includes('.test.'))
+  .some((file) => fs.readFileSync(path.join(dir, file), 'utf8').includes('recordAudit('));
+const audit = args.includes('--audit')
+  || (!args.includes('--no-audit') && fs.existsSync(entityDir) && callsRecordAudit(entityDir));
+
+// Regenerating keeps the bulk operations unless --no-bulk is given
+const validatorsFile = ['.js', '.ts']
+  .map((extension) => path.join(entityDir, `${entityName}.validators${extension}`))
+  .find((file) => fs.existsSync(file));
+const bulk = args.includes('--bulk')
+  || (!args.includes('--no-bulk') && Boolean(validatorsFile) && fs.readFileSync(validatorsFile, 'utf8').includes('bulkItems('));
+
+let names;
+let idPrefixes;
+let relations;
+let fields;
+let target;
+let writer;
+try {
+  target = parseTarget(args);
+  idPrefixes = readIdPrefixes(target);
+  names = {
+    ...entityNames(entityName),
+    ...idNames(assignIdPrefix(entityName, idPrefixes, idPrefixArg && idPrefixArg.slice('--id-prefix='.length))),
+  };
+  relations = parseRelations(relationSpecs, { entityName, names, pattern, target });
+  fields = parseFields(fieldSpecs, relations.belongsTo.map((relation) => referenceField(relation, relation.related)));
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Check if entity already exists
-if (fs.existsSync(entityDir)) {
+if (fs.existsSync(entityDir) && writer.mode === 'create') {
   console.error(`Error: Entity "${entityName}" already exists at ${entityDir}`);
+  console.log('Rerun with --merge to add what is missing, or --force to overwrite it');
   process.exit(1);
 }
 
-// Create entity directory
-fs.mkdirSync(entityDir, { recursive: true });
-
 // Generate file contents
-const tableName = entityName;
-const capitalizedName = entityName.charAt(0).toUpperCase() + entityName.slice(1);
-
-// Repository file
-const repositoryContent = `const { db } = require('../../config/database');
-
-const TABLE_NAME = '${tableName}';
-
-const create${capitalizedName} = async (${entityName}Data) => {
-  const [${entityName}] = await db(TABLE_NAME)
-    .insert(${entityName}Data)
-    .returning('*');
-  return ${entityName};
-};
-
-const find${capitalizedName}ById = async (id) => {
-  return db(TABLE_NAME)
-    .where({ id, is_deleted: false })
-    .first();
-};
-
-const getAll${capitalizedName}s = async () => {
-  return db(TABLE_NAME)
-    .select('*')
-    .where({ is_deleted: false })
-    .orderBy('created_at', 'desc');
-};
-
-const update${capitalizedName} = async (id, updates) => {
-  const [${entityName}] = await db(TABLE_NAME)
-    .where({ id, is_deleted: false })
-    .update({
-      ...updates,
-      updated_at: new Date(),
-    })
-    .returning('*');
-  return ${entityName};
-};
-
-const delete${capitalizedName} = async (id) => {
-  // Soft delete: set is_deleted to true instead of removing from database
-  const [${entityName}] = await db(TABLE_NAME)
-    .where({ id, is_deleted: false })
-    .update({
-      is_deleted: true,
-      updated_at: new Date(),
-    })
-    .returning('*');
-  return ${entityName};
-};
-
-module.exports = {
-  create${capitalizedName},
-  find${capitalizedName}ById,
-  getAll${capitalizedName}s,
-  update${capitalizedName},
-  delete${capitalizedName},
-};
-`;
-
-// DTOs file
-const dtosContent = `const ${entityName}Dto = (${entityName}Record) => ({
-  id: ${entityName}Record.id,
-  // TODO: Add other fields with camelCase mapping
-  createdAt: ${entityName}Record.created_at,
-  updatedAt: ${entityName}Record.updated_at,
-});
-
-module.exports = {
-  ${entityName}Dto,
-};
-`;
-
-// Validators file
-const validatorsContent = `const { z } = require('zod');
-
-const create${capitalizedName}Schema = z.object({
-  // TODO: Add validation rules for your entity
-  // Example: name: z.string().min(1, { message: "Name is required" }),
-});
-
-const update${capitalizedName}Schema = z.object({
-  // TODO: Add validation rules for updates (usually optional fields)
-});
-
-const ${entityName}IdSchema = z.object({
-  id: z.string().min(1, { message: "${capitalizedName} ID is required" }),
-});
-
-const validate = (schema) => (req, res, next) => {
-  try {
-    if (req.body && Object.keys(req.body).length > 0) {
-      req.body = schema.parse(req.body);
-    } else if (req.params && Object.keys(req.params).length > 0) {
-      req.params = schema.parse(req.params);
-    } else if (req.query && Object.keys(req.query).length > 0) {
-      req.query = schema.parse(req.query);
-    }
-    next();
-  } catch (error) {
-    next(error);
+const {
+  camelName,
+  singularName,
+  singularPascal,
+  pluralPascal,
+  tableName,
+  idPrefix,
+} = names;
+
+const { ext } = target;
+const types = typeNames(names);
+
+const lines = (items, spaces) => items.map((item) => `${' '.repeat(spaces)}${item}`).join('\n');
+
+const dtoFields = fields.length > 0
+  ? lines(fields.map((field) => dtoLine(field, `${singularName}Record`)), 2)
+  : '  // TODO: Add other fields with camelCase mapping';
+
+// TypeScript only: the repository row and DTO interfaces
+const rowTypeFields = fields.length > 0
+  ? lines(fields.map((field) => typeLine(field, 'name')), 2)
+  : '  // TODO: Add the columns of the table';
+
+const dtoTypeFields = fields.length > 0
+  ? lines(fields.map((field) => typeLine(field)), 2)
+  : '  // TODO: Add the camelCase fields of the DTO';
+
+const recordFields = fields.length > 0
+  ? lines(fields.map((field) => recordLine(field, 'data')), 2)
+  : '  // TODO: Map camelCase input fields to snake_case columns\n  ...data,';
+
+const createRules = fields.length > 0
+  ? lines(fields.map(zodCreateLine), 2)
+  : `  // TODO: Add validation rules for your entity
+  // Example: name: z.string().min(1, { message: "Name is required" }),`;
+
+const updateRules = fields.length > 0
+  ? lines(fields.map(zodUpdateLine), 2)
+  : '  // TODO: Add validation rules for updates (usually optional fields)';
+
+// Fixture bodies end with a newline so entities without fields get no blank lines
+const block = (items, spaces) => items.map((item) => `${' '.repeat(spaces)}${item}\n`).join('');
+
+// TypeScript fixtures build Date values for date columns instead of strings
+const typed = target.ts;
+// Input fixtures leave out references to the entity itself, so records start without a parent
+const inputFields = fields.filter((field) => !(field.references && field.references.self));
+const sampleInput = block(inputFields.map((field) => sampleLine(field, 'key', { typed })), 2);
+const sampleRecord = block(fields.map((field) => sampleLine(field, 'name', { typed })), 2);
+const sampleUpdate = block(inputFields.slice(0, 1).map((field) => updatedSampleLine(field, { typed })), 2);
+// Inputs for the bulk routes need a value of their own in every unique column
+const indexedSampleInput = block(inputFields.filter((field) => field.unique).map((field) => indexedSampleLine(field, { typed })), 2);
+// The routes test clears the first optional field with a PATCH that sets it to null
+const clearedField = inputFields.find((field) => !field.required);
+
+// The first unique field is checked on create (findOrCreate, 409 when taken); its column
+// must carry a unique index
+const conflictField = fields.find((field) => field.unique);
+
+const filterFields = fields.filter(isFilterable);
+const sortFields = fields.filter(isSortable);
+const sortKeys = ['createdAt', 'updatedAt', ...sortFields.map((field) => field.key)];
+
+const filterColumns = filterFields.length > 0
+  ? lines(filterFields.map((field) => `${field.key}: '${field.name}',`), 2)
+  : '  // TODO: Whitelist filterable query keys, e.g. name: \'name\',';
+
+const sortColumns = lines([
+  "createdAt: 'created_at',",
+  "updatedAt: 'updated_at',",
+  "deletedAt: 'deleted_at',",
+  ...sortFields.map((field) => `${field.key}: '${field.name}',`),
+], 2);
+
+const sortList = (keys) => keys.map((key) => `'${key}'`).join(', ');
+
+const queryRules = lines([
+  `...paginationQuery([${sortList(sortKeys)}], '-createdAt'),`,
+  ...filterFields.map(zodQueryLine),
+], 2);
+
+const deletedQueryRules = lines([
+  `...paginationQuery([${sortList(['deletedAt', ...sortKeys])}], '-deletedAt'),`,
+  ...filterFields.map(zodQueryLine),
+], 2);
+
+// Operation and mapper names depend on the entity pattern
+const ops = operationNames(names, pattern);
+
+const mappers = pattern === 'operations'
+  ? {
+    dto: `mapTo${singularPascal}`,
+    deletedDto: `mapToDeleted${singularPascal}`,
+    toRecord: `to${singularPascal}Record`,
+    file: importPath(target, './mapTo'),
   }
-};
-
-module.exports = {
-  create${capitalizedName}Schema,
-  update${capitalizedName}Schema,
-  ${entityName}IdSchema,
-  validate,
-};
-`;
-
-// Service file
-const serviceContent = `const ${entityName}Repository = require('./${entityName}.repository');
-const { ${entityName}Dto } = require('./${entityName}.dtos');
-const { generateShortUID } = require('../../utils/id-generator');
-
-const create${capitalizedName} = async (data) => {
-  // TODO: Add business logic here
-  // Example: Check for existing record, normalize data, etc.
-
-  const ${entityName}Data = {
-    id: generateShortUID('${entityName.substring(0, 3)}'),
-    ...data,
+  : {
+    dto: `${singularName}Dto`,
+    deletedDto: `deleted${singularPascal}Dto`,
+    toRecord: `to${singularPascal}Record`,
+    file: importPath(target, `./${entityName}.dtos`),
   };
 
-  const ${entityName} = await ${entityName}Repository.create${capitalizedName}(${entityName}Data);
-  return ${entityName}Dto(${entityName});
+// Service test names
+const serviceModule = pattern === 'operations' ? `${camelName}Operations` : `${camelName}Service`;
+const serviceFile = pattern === 'operations' ? indexImportPath(target, '.') : importPath(target, `./${entityName}.service`);
+const createCall = conflictField ? `findOrCreate${singularPascal}` : `create${singularPascal}`;
+
+// hasMany and manyToMany relations each get a nested list
+const listRelations = [...relations.hasMany, ...relations.manyToMany];
+
+// Variables available to every entity template (see references/templates.md)
+const context = {
+  entityName,
+  ...names,
+  pattern,
+  esm: target.esm,
+  types,
+  fields,
+  conflictField,
+  ops,
+  mappers,
+  serviceModule,
+  serviceFile,
+  createCall,
+  relations,
+  listRelations,
+  hasListRelations: listRelations.length > 0,
+  eagerLoad: relations.belongsTo.length > 0,
+  parents: relatedEntities(relations, ['belongsTo']),
+  relatedEntities: relatedEntities(relations),
+  dtoFields,
+  recordFields,
+  rowTypeFields,
+  dtoTypeFields,
+  createRules,
+  updateRules,
+  filterColumns,
+  sortColumns,
+  queryRules,
+  deletedQueryRules,
+  sampleInput,
+  sampleRecord,
+  sampleUpdate,
+  indexedSampleInput,
+  clearedField,
+  audit,
+  bulk,
 };
 
-const get${capitalizedName}ById = async (id) => {
-  const ${entityName} = await ${entityName}Repository.find${capitalizedName}ById(id);
-
-  if (!${entityName}) {
-    throw new Error('${capitalizedName} not found');
-  }
-
-  return ${entityName}Dto(${entityName});
+// Service operations: rendered into one {entity}.service.js for the standard pattern,
+// or one file per operation plus index.js for --pattern=operations. Each operation's
+// code comes from templates/entity/operations/{key}.js.tmpl (or .ts.tmpl).
+const HELPER_IMPORTS = {
+  generateShortUID: '../../utils/id-generator',
+  ConflictError: '../../utils/errors',
+  NotFoundError: '../../utils/errors',
+  withTransaction: '../../utils/transaction',
+  bulkSuccess: '../../utils/bulk',
+  bulkFailure: '../../utils/bulk',
+  bulkResponse: '../../utils/bulk',
+  inSavepoint: '../../utils/bulk',
+  writeBatch: '../../utils/bulk',
+  recordAudit: '../audit-log/audit-log.service',
 };
 
-const getAll${capitalizedName}s = async () => {
-  const ${entityName}s = await ${entityName}Repository.getAll${capitalizedName}s();
-  return ${entityName}s.map(${entityName}Dto);
+// Audited operations write their audit entry in the transaction of the change
+const audited = (helpers) => (audit ? [...new Set([...helpers, 'withTransaction', 'recordAudit'])] : helpers);
+
+// `types` lists the TypeScript types an operation's signature uses besides Knex
+const OPERATIONS = [
+  {
+    key: 'create',
+    mappers: [mappers.dto, mappers.toRecord],
+    helpers: audited(['generateShortUID', ...(conflictField ? ['ConflictError'] : [])]),
+    types: ['createInput'],
+  },
+  { key: 'getById', mappers: [mappers.dto], helpers: ['NotFoundError'], types: [] },
+  { key: 'getAll', mappers: [mappers.dto], helpers: [], types: ['listQuery'] },
+  { key: 'update', mappers: [mappers.dto, mappers.toRecord], helpers: audited(['ConflictError', 'NotFoundError', 'withTransaction']), types: ['updateInput'] },
+  { key: 'remove', mappers: [], helpers: audited(['NotFoundError', 'withTransaction']), types: [] },
+  ...(bulk ? [
+    {
+      key: 'bulkCreate',
+      mappers: [mappers.dto, mappers.toRecord],
+      helpers: audited([
+        'generateShortUID',
+        'withTransaction',
+        ...(conflictField ? ['ConflictError'] : []),
+        'bulkSuccess',
+        'bulkFailure',
+        'bulkResponse',
+        'writeBatch',
+      ]),
+      types: ['bulkCreateInput'],
+    },
+    {
+      key: 'bulkUpdate',
+      mappers: [mappers.dto, mappers.toRecord],
+      helpers: audited(['ConflictError', 'NotFoundError', 'withTransaction', 'bulkSuccess', 'bulkFailure', 'bulkResponse', 'inSavepoint']),
+      types: ['bulkUpdateInput'],
+    },
+    {
+      key: 'bulkRemove',
+      mappers: [],
+      helpers: audited(['NotFoundError', 'bulkSuccess', 'bulkFailure', 'bulkResponse']),
+      types: ['bulkDeleteInput'],
+    },
+  ] : []),
+  { key: 'getDeleted', mappers: [mappers.deletedDto], helpers: [], types: ['listDeletedQuery'] },
+  { key: 'restore', mappers: [mappers.dto], helpers: audited(['NotFoundError']), types: [] },
+  { key: 'purge', mappers: [], helpers: audited(['NotFoundError']), types: [] },
+];
+
+// Relations add a nested list (hasMany, manyToMany) and link and unlink operations
+// (manyToMany), named per relation. `relatedMappers` come from the related entity,
+// `queryTypes` from this entity's validators.
+const relationMappers = (relation) => (relation.related.self
+  ? { mappers: [mappers.dto], relatedMappers: [] }
+  : { mappers: [], relatedMappers: [relation.related.mappers] });
+
+const RELATION_OPERATIONS = [
+  ...listRelations.map((relation) => ({
+    key: 'listRelated',
+    name: relation.listOp,
+    relation,
+    ...relationMappers(relation),
+    helpers: ['NotFoundError'],
+    types: [],
+    queryTypes: [relation.queryType],
+  })),
+  ...relations.manyToMany.flatMap((relation) => [
+    {
+      key: 'addRelated',
+      name: relation.addOp,
+      relation,
+      ...relationMappers(relation),
+      helpers: ['NotFoundError', 'withTransaction'],
+      types: [],
+    },
+    {
+      key: 'removeRelated',
+      name: relation.removeOp,
+      relation,
+      mappers: [],
+      helpers: ['NotFoundError'],
+      types: [],
+    },
+  ]),
+];
+
+// Imports for a set of operations, in a stable order: { binding, path } for
+// `const {binding} = require('{path}')` or `import {binding} from '{path}'`
+const operationImports = (selected) => {
+  const uses = (list, name) => selected.some((operation) => operation[list].includes(name));
+  const usedMappers = [mappers.dto, mappers.deletedDto, mappers.toRecord].filter((name) => uses('mappers', name));
+  const usedHelpers = Object.keys(HELPER_IMPORTS).filter((helper) => uses('helpers', helper));
+  const usedTypes = (keys) => (target.ts ? keys.filter((key) => uses('types', key)).map((key) => types[key]) : []);
+
+  const repositoryPath = importPath(target, `./${entityName}.repository`);
+  const inputTypes = [
+    ...usedTypes(['createInput', 'updateInput', 'listQuery', 'listDeletedQuery', 'bulkCreateInput', 'bulkUpdateInput', 'bulkDeleteInput']),
+    ...(target.ts ? selected.flatMap((operation) => operation.queryTypes || []) : []),
+  ];
+  // One import per related entity, however many relations point at it
+  const relatedMappers = [...new Map(selected
+    .flatMap((operation) => operation.relatedMappers || [])
+    .map((mapper) => [mapper.file, mapper])).values()];
+
+  return [
+    ...(target.ts ? [{ binding: 'type { Knex }', path: 'knex' }] : []),
+    { binding: target.esm ? `* as ${camelName}Repository` : `${camelName}Repository`, path: repositoryPath },
+    ...(usedMappers.length > 0 ? [{ binding: `{ ${usedMappers.join(', ')} }`, path: mappers.file }] : []),
+    ...relatedMappers.map((mapper) => ({ binding: `{ ${mapper.dto} }`, path: mapper.file })),
+    ...(inputTypes.length > 0
+      ? [{ binding: `type { ${inputTypes.join(', ')} }`, path: importPath(target, `./${entityName}.validators`) }]
+      : []),
+    // Helpers from the same file share one import
+    ...[...new Set(usedHelpers.map((helper) => HELPER_IMPORTS[helper]))].map((file) => ({
+      binding: `{ ${usedHelpers.filter((helper) => HELPER_IMPORTS[helper] === file).join(', ')} }`,
+      path: importPath(target, file),
+    })),
+  ];
 };
 
-const update${capitalizedName} = async (id, updates) => {
-  const existing${capitalizedName} = await ${entityName}Repository.find${capitalizedName}ById(id);
+// Templates are named like the files they generate: entity/repository.js, or entity/repository.ts for TypeScript
+const render = (name, extra = {}) => renderTemplate(`entity/${name}${ext}`, { ...context, ...extra });
+
+// Project templates may be broken, so rendering errors end the script like bad arguments
+let entityFiles;
+let fixturesContent;
+try {
+  const operations = [...OPERATIONS, ...RELATION_OPERATIONS].map((operation) => ({
+    ...operation,
+    name: operation.name || ops[operation.key],
+    code: render(`operations/${operation.key}`, { relation: operation.relation }).trimEnd(),
+  }));
+
+  const repositoryContent = render('repository');
+  const validatorsContent = render('validators');
+  const dtosContent = render('dtos');
+  const serviceTestContent = render('service.test');
+  fixturesContent = render('fixtures');
+
+  entityFiles = pattern === 'operations'
+    ? [
+      [`index${ext}`, render('index', { operations })],
+      ...operations.map((operation) => [
+        `${operation.name}${ext}`,
+        render('operation', { imports: operationImports([operation]), operation }),
+      ]),
+      [`mapTo${ext}`, dtosContent],
+      [`${entityName}.repository${ext}`, repositoryContent],
+      [`${entityName}.validators${ext}`, validatorsContent],
+      [`${entityName}.operations.test${ext}`, serviceTestContent],
+    ]
+    : [
+      [`${entityName}.repository${ext}`, repositoryContent],
+      [`${entityName}.dtos${ext}`, dtosContent],
+      [`${entityName}.validators${ext}`, validatorsContent],
+      [`${entityName}.service${ext}`, render('service', { imports: operationImports(operations), operations })],
+      [`${entityName}.service.test${ext}`, serviceTestContent],
+    ];
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
-  if (!existing${capitalizedName}) {
-    throw new Error('${capitalizedName} not found');
-  }
+// Write files
+const entityPath = path.join('src', 'entities', entityName);
+entityFiles.forEach(([file, content]) => writer.write(path.join(entityPath, file), content));
+
+writer.write(path.join('src', 'test', 'fixtures', `${entityName}.fixtures${ext}`), fixturesContent);
+
+// Regenerating compares against the entity's existing create-table migration instead of adding another
+const migrationName = `create_${tableName}_table`;
+const migrationPath = findProjectMigration(migrationName)
+  || path.join(MIGRATIONS_DIR, migrationFileName(migrationName, target));
+const migrationFile = path.basename(migrationPath);
+writer.writeOnce(migrationPath, createTableMigration(tableName, fields, target, relations.manyToMany));
+
+// The registry keeps its entries, including prefixes found in entities generated before it
+writer.update(registryPath(target), registrySource({ ...idPrefixes, [entityName]: idPrefix }, target));
+const idGeneratorFile = path.join('src', 'utils', `id-generator${ext}`);
+const idGeneratorCreated = writer.ensureExample(path.join('utils', 'id-generator.js'), idGeneratorFile);
+writer.ensureExample(path.join('utils', 'pagination.js'), path.join('src', 'utils', 'pagination.js'));
+writer.ensureExample(path.join('utils', 'errors.js'), path.join('src', 'utils', 'errors.js'));
+writer.ensureExample(path.join('utils', 'transaction.js'), path.join('src', 'utils', 'transaction.js'));
+if (bulk) {
+  writer.ensureExample(path.join('utils', 'bulk.js'), path.join('src', 'utils', 'bulk.js'));
+}
 
-  // TODO: Add business logic for updates
+console.log(writer.headline(`Entity "${entityName}"`, `at ${entityDir}`));
+writer.report();
+reportTemplateOverrides();
 
-  const ${entityName} = await ${entityName}Repository.update${capitalizedName}(id, updates);
-  return ${entityName}Dto(${entityName});
-};
+if (writer.dryRun) {
+  process.exit(0);
+}
 
-const delete${capitalizedName} = async (id) => {
-  const existing${capitalizedName} = await ${entityName}Repository.find${capitalizedName}ById(id);
+console.log(`\nID prefix: ${idPrefix}, listed in ${registryPath(target)}`);
+
+// Generators before the prefix registry wrote an id-generator without idSchema()
+const idGeneratorOutdated = !idGeneratorCreated
+  && !fs.readFileSync(path.join(process.cwd(), idGeneratorFile), 'utf8').includes('idSchema');
+
+const regenerated = writer.mode !== 'create';
+const migrationChanged = writer.results.some((result) => result.file === migrationPath && result.action === 'kept');
+// Tables created before the version column need it for the repository's optimistic concurrency
+const versionMissing = migrationChanged
+  && !fs.readFileSync(path.join(process.cwd(), migrationPath), 'utf8').includes("'version'")
+  && !findProjectMigration(`add_version_to_${tableName}`);
+
+// The routes module takes the same relations; its tests insert related records with
+// the insert helpers of their fixtures, which fixtures written before relations lack
+const moduleCommand = [
+  `node scripts/create-module.js ${entityName}`,
+  ...[...relations.belongsTo, ...listRelations].map(relationSpec),
+  ...(bulk ? ['--bulk'] : []),
+].join(' ');
+const fixturesWithoutInsert = relatedEntities(relations).filter((related) => {
+  const fixturesFile = path.join(process.cwd(), 'src', 'test', 'fixtures', `${related.entityName}.fixtures${ext}`);
+  return !fs.existsSync(fixturesFile)
+    || !fs.readFileSync(fixturesFile, 'utf8').includes(`insert${related.singularPascal}Record`);
+});
 
-  if (!existing${capitalizedName}) {
-    throw new Error('${capitalizedName} not found');
+const nextSteps = fields.length > 0 || regenerated ? [] : [
+  `Declare columns in ${migrationFile}`,
+  `Update the DTO mapping in ${pattern === 'operations' ? `mapTo${ext}` : `${entityName}.dtos${ext}`}`,
+  `Add validation rules in ${entityName}.validators${ext}`,
+];
+if (writer.results.some((result) => result.differences)) {
+  nextSteps.push('Port the changes you want from the differences above by hand');
+}
+if (idGeneratorOutdated) {
+  nextSteps.push(`Replace ${idGeneratorFile} with the time-sortable generator (references/database-conventions.md, "Primary Keys"); the validators import idSchema from it`);
+}
+if (migrationChanged) {
+  nextSteps.push(`Migrations are never rewritten; add the schema change with: node scripts/create-migration.js add-column ${tableName} <field:type>`);
+  if (relationSpecs.length > 0) {
+    nextSteps.push(`Write foreign keys and join tables of new relations by hand: node scripts/create-migration.js add_${tableName}_relations`);
   }
+}
+if (versionMissing) {
+  nextSteps.push(`Add the version column the repository now updates: node scripts/create-migration.js add-version ${tableName}`);
+}
+const auditServicePath = path.join(process.cwd(), 'src', 'entities', 'audit-log', `audit-log.service${ext}`);
+if (audit && !fs.existsSync(path.join(process.cwd(), 'src', 'entities', 'audit-log'))) {
+  nextSteps.push('Add the audit log the operations write to (once): node scripts/create-audit.js');
+} else if (audit && fs.existsSync(auditServicePath) && !fs.readFileSync(auditServicePath, 'utf8').includes('eraseAuditValues')) {
+  // Audit logs added before purges were recorded keep the purged record's values
+  nextSteps.push('Update the audit log so purges erase the record\'s entries: node scripts/create-audit.js --merge, then port the differences it lists');
+}
+fixturesWithoutInsert.forEach((related) => {
+  nextSteps.push(`Add insert${related.singularPascal}Record to src/test/fixtures/${related.entityName}.fixtures${ext}: rerun create-entity.js ${related.entityName} with its fields and --merge`);
+});
+if (!regenerated) {
+  nextSteps.push(
+    pattern === 'operations'
+      ? 'Implement business logic in the operation files (add more with scripts/add-operation.js)'
+      : `Implement business logic in ${entityName}.service${ext}`
+  );
+}
+if (!hasJestSetup(target)) {
+  nextSteps.push(`Set up Jest for ${target.label} once (references/module-formats.md)`);
+}
+nextSteps.push(
+  `Run the service tests: npx jest src/entities/${entityName}`,
+  'Run migrations: npm run db:migrate',
+  regenerated
+    ? `Regenerate the routes module too: ${moduleCommand} --${writer.mode}`
+    : `Create routes module: ${moduleCommand}`
+);
 
-  await ${entityName}Repository.delete${capitalizedName}(id);
-  return { success: true };
-};
-
-module.exports = {
-  create${capitalizedName},
-  get${capitalizedName}ById,
-  getAll${capitalizedName}s,
-  update${capitalizedName},
-  delete${capitalizedName},
-};
-`;
-
-// Write files
-fs.writeFileSync(path.join(entityDir, `${entityName}.repository.js`), repositoryContent);
-fs.writeFileSync(path.join(entityDir, `${entityName}.dtos.js`), dtosContent);
-fs.writeFileSync(path.join(entityDir, `${entityName}.validators.js`), validatorsContent);
-fs.writeFileSync(path.join(entityDir, `${entityName}.service.js`), serviceContent);
-
-console.log(`✅ Entity "${entityName}" created successfully at ${entityDir}`);
-console.log('\nFiles created:');
-console.log(`  - ${entityName}.repository.js`);
-console.log(`  - ${entityName}.dtos.js`);
-console.log(`  - ${entityName}.validators.js`);
-console.log(`  - ${entityName}.service.js`);
 console.log('\nNext steps:');
-console.log(`  1. Create a migration: npm run migrate:make create_${tableName}_table`);
-console.log(`  2. Update the DTO mapping in ${entityName}.dtos.js`);
-console.log(`  3. Add validation rules in ${entityName}.validators.js`);
-console.log(`  4. Implement business logic in ${entityName}.service.js`);
-console.log(`  5. Create routes module: node scripts/create-module.js ${entityName}`);
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
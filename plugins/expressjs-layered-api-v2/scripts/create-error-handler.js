@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Script to generate the domain error classes and the global error-handler middleware
+ * Usage: node scripts/create-error-handler.js [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
+ *
+ * Creates (skipping files that already exist):
+ *   - src/utils/errors.js               AppError, NotFoundError, ConflictError, ValidationError
+ *   - src/middleware/error-handler.js   Maps errors to a JSON envelope with the request id
+ *
+ * --merge adds error classes missing from an existing errors.js (e.g. after the
+ * skill gains a new one) and prints a diff for the rest; --force overwrites both files.
+ * ES module and TypeScript projects get the variants from examples/esm and examples/ts
+ * (.ts files for TypeScript); see scripts/lib/target.js for how the format is chosen.
+ */
+
+const path = require('path');
+const { readExample } = require('./lib/project-files');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+const { parseTarget, sourceFile } = require('./lib/target');
+
+const files = [
+  [path.join('utils', 'errors.js'), path.join('src', 'utils', 'errors.js')],
+  [path.join('middleware', 'error-handler.js'), path.join('src', 'middleware', 'error-handler.js')],
+];
+
+const args = process.argv.slice(2);
+
+let target;
+let writer;
+try {
+  target = parseTarget(args);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+files.forEach(([examplePath, projectPath]) => writer.write(sourceFile(target, projectPath), readExample(examplePath, target)));
+
+if (writer.mode === 'create' && !writer.dryRun && writer.results.every((result) => result.action !== 'created')) {
+  console.log('Error handler is already set up, nothing to do');
+  writer.report();
+  process.exit(0);
+}
+
+console.log(writer.headline('Error handler'));
+writer.report();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
+
+console.log('\nNext steps:');
+console.log(`  1. Register the error handler last in ${sourceFile(target, 'src/app.js')}:`);
+console.log(target.esm
+  ? "     import { errorHandler } from './middleware/error-handler.js';"
+  : "     const { errorHandler } = require('./middleware/error-handler');");
+console.log('     app.use(errorHandler);');
+console.log('  2. Throw NotFoundError, ConflictError, or ValidationError from services');
@@ -2,33 +2,198 @@
 
 /**
  * Script to generate a Knex migration file
+ * Usage: node scripts/create-migration.js create <table> [field:type[?][:modifier...]...]
+ * Usage: node scripts/create-migration.js add-column <table> <field:type[?][:modifier...]...>
+ * Usage: node scripts/create-migration.js drop-column <table> <field:type[?][:modifier...]...>
+ * Usage: node scripts/create-migration.js rename-column <table> <from> <to>
+ * Usage: node scripts/create-migration.js add-version <table>
  * Usage: node scripts/create-migration.js <migration-name>
- * Example: node scripts/create-migration.js create_users_table
+ * Add --dry-run to any command to print the migration without writing it, and --cjs,
+ * --esm, or --ts to choose the module format instead of following the project
+ * Example: node scripts/create-migration.js create users email:email:unique name:string
+ * Example: node scripts/create-migration.js add-column subscribers page_url:url? referrer:string? score:int:default=0
+ * Example: node scripts/create-migration.js drop-column subscribers user_agent:string?
+ * Example: node scripts/create-migration.js rename-column subscribers page_url landing_url
+ * Example: node scripts/create-migration.js add-version subscribers
+ * Example: node scripts/create-migration.js backfill_subscriber_scores
+ *
+ * Fields use the same spec as create-entity.js. drop-column needs the full spec
+ * so that down() can recreate the column. A required column that add-column adds, or
+ * that the down() of drop-column adds back, needs a default for the rows the table
+ * already has (e.g. score:int:default=0). add-version adds the `version` column that
+ * generated repositories use for optimistic concurrency to a table created before
+ * it was part of every entity. A bare migration name writes an empty
+ * up()/down() pair. Table names are plural snake_case as in create-entity.js, so
+ * job-categories, JobCategory, and job_category all name job_categories. Files
+ * are written directly to src/database/migrations/, so knex does not need to be
+ * installed to generate them.
  */
 
-const { execSync } = require('child_process');
+const path = require('path');
+const { parseFields } = require('./lib/fields');
+const { toSnakeCase, toTableName } = require('./lib/inflection');
+const { parseTarget } = require('./lib/target');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+const {
+  MIGRATIONS_DIR,
+  migrationFileName,
+  createTableMigration,
+  addColumnsMigration,
+  dropColumnsMigration,
+  renameColumnMigration,
+  addVersionMigration,
+  emptyMigration,
+} = require('./lib/migration');
 
-const migrationName = process.argv[2];
+const USAGE = [
+  'Usage: node scripts/create-migration.js create <table> [field:type[?][:modifier...]...]',
+  '       node scripts/create-migration.js add-column <table> <field:type[?][:modifier...]...>',
+  '       node scripts/create-migration.js drop-column <table> <field:type[?][:modifier...]...>',
+  '       node scripts/create-migration.js rename-column <table> <from> <to>',
+  '       node scripts/create-migration.js add-version <table>',
+  '       node scripts/create-migration.js <migration-name>',
+  'Add --dry-run to print the migration without writing it, --cjs, --esm, or --ts to choose the module format',
+  'Example: node scripts/create-migration.js add-column subscribers page_url:url? referrer:string? score:int:default=0',
+];
 
-if (!migrationName) {
-  console.error('Error: Migration name is required');
-  console.log('Usage: node scripts/create-migration.js <migration-name>');
-  console.log('Example: node scripts/create-migration.js create_users_table');
+const IDENTIFIER = /^[a-z][a-z0-9_]*$/;
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  USAGE.forEach((line) => console.log(line));
   process.exit(1);
+};
+
+const identifier = (value, label) => {
+  if (!value) {
+    fail(`${label} is required`);
+  }
+
+  const name = toSnakeCase(value);
+  if (!IDENTIFIER.test(name)) {
+    fail(`Invalid ${label.toLowerCase()} "${value}". Use letters, digits, and underscores`);
+  }
+
+  return name;
+};
+
+// Table names go through the same inflection as create-entity.js
+const table = (value) => toTableName(identifier(value, 'Table name'));
+
+const fieldsFrom = (specs, { atLeastOne }) => {
+  if (atLeastOne && specs.length === 0) {
+    fail('At least one field is required');
+  }
+
+  try {
+    return parseFields(specs);
+  } catch (error) {
+    return fail(error.message);
+  }
+};
+
+// PostgreSQL cannot add a NOT NULL column without a value for the rows already there
+const requireDefaults = (fields) => {
+  const field = fields.find((candidate) => candidate.required && candidate.defaultValue === undefined);
+  if (field) {
+    fail(`Required column "${field.name}" needs a default for existing rows: add :default=<value> to its spec, or make it optional (${field.name}:${field.type}?)`);
+  }
+
+  return fields;
+};
+
+const columnNames = (fields) => fields.map((field) => field.name).join('_and_');
+
+const args = process.argv.slice(2);
+const [command, ...rest] = args.filter((arg) => !arg.startsWith('--'));
+const writer = createWriter({ dryRun: parseWriteOptions(args).dryRun });
+
+if (!command) {
+  fail('Migration name or command is required');
 }
 
+let target;
 try {
-  // Run knex migrate:make command
-  const command = `npx knex migrate:make ${migrationName} --knexfile src/config/knexfile.js`;
-  console.log(`Running: ${command}`);
+  target = parseTarget(args);
+} catch (error) {
+  fail(error.message);
+}
 
-  execSync(command, { stdio: 'inherit' });
+let migration;
 
-  console.log('\n✅ Migration created successfully');
-  console.log('\nNext steps:');
-  console.log('  1. Edit the migration file in src/database/migrations/');
-  console.log('  2. Run migrations: npm run db:migrate');
-} catch (error) {
-  console.error('❌ Error creating migration:', error.message);
-  process.exit(1);
+switch (command) {
+  case 'create': {
+    const tableName = table(rest[0]);
+    const fields = fieldsFrom(rest.slice(1), { atLeastOne: false });
+    migration = {
+      name: `create_${tableName}_table`,
+      content: createTableMigration(tableName, fields, target),
+    };
+    break;
+  }
+  case 'add-column': {
+    const tableName = table(rest[0]);
+    const fields = requireDefaults(fieldsFrom(rest.slice(1), { atLeastOne: true }));
+    migration = {
+      name: `add_${columnNames(fields)}_to_${tableName}`,
+      content: addColumnsMigration(tableName, fields, target),
+    };
+    break;
+  }
+  case 'drop-column': {
+    const tableName = table(rest[0]);
+    const fields = requireDefaults(fieldsFrom(rest.slice(1), { atLeastOne: true }));
+    migration = {
+      name: `drop_${columnNames(fields)}_from_${tableName}`,
+      content: dropColumnsMigration(tableName, fields, target),
+    };
+    break;
+  }
+  case 'rename-column': {
+    const tableName = table(rest[0]);
+    const from = identifier(rest[1], 'Column name');
+    const to = identifier(rest[2], 'New column name');
+    migration = {
+      name: `rename_${from}_to_${to}_in_${tableName}`,
+      content: renameColumnMigration(tableName, from, to, target),
+    };
+    break;
+  }
+  case 'add-version': {
+    const tableName = table(rest[0]);
+    migration = {
+      name: `add_version_to_${tableName}`,
+      content: addVersionMigration(tableName, target),
+    };
+    break;
+  }
+  default: {
+    if (rest.length > 0) {
+      fail(`Unknown command "${command}"`);
+    }
+
+    const name = identifier(command, 'Migration name');
+    migration = { name, content: emptyMigration(name, target) };
+  }
+}
+
+// Every migration gets a fresh timestamp, so there is never an existing file to overwrite
+const migrationPath = path.join(MIGRATIONS_DIR, migrationFileName(migration.name, target));
+writer.write(migrationPath, migration.content);
+
+console.log(writer.headline('Migration', `at ${migrationPath}`));
+
+if (writer.dryRun) {
+  writer.report();
+  process.exit(0);
+}
+
+console.log('\nNext steps:');
+
+const nextSteps = [];
+if (migration.content.includes('// TODO')) {
+  nextSteps.push(`Edit the migration file in ${MIGRATIONS_DIR}/`);
 }
+nextSteps.push('Run migrations: npm run db:migrate');
+
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
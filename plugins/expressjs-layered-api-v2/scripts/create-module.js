@@ -2,20 +2,77 @@
 
 /**
  * Script to generate a routes module with controller and routes files
- * Usage: node scripts/create-module.js <module-name> [entity-name]
+ * Usage: node scripts/create-module.js <module-name> [entity-name] [name:relation:entity...] [--auth[=<rules>]] [--bulk] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
  * Example: node scripts/create-module.js subscribers
  * Example: node scripts/create-module.js categories job-categories
+ * Example: node scripts/create-module.js subscribers --ts
+ * Example: node scripts/create-module.js jobs category:belongsTo:job-categories tags:manyToMany:tags
+ * Example: node scripts/create-module.js subscribers --auth=create:public,admin
+ * Example: node scripts/create-module.js subscribers --bulk
+ *
+ * Also generates {module}.admin.routes.js (deleted listing, restore, purge behind
+ * the X-Admin-Key guard, or the admin role with --auth) and {module}.routes.test.js, which uses the entity fixtures
+ * from src/test/fixtures/{entity}.fixtures.js written by create-entity.js
+ *
+ * Relations take the specs the entity was created with (create-entity.js prints the
+ * command): hasMany and manyToMany add nested routes such as GET /:id/tags, and
+ * PUT and DELETE /:id/tags/:tagId for manyToMany links. Relations of the entity that are
+ * not passed are read from its repository.
+ *
+ * --auth starts routes with authorize(roles) from src/middleware/auth.js (JWT bearer
+ * tokens or API keys); rules such as create:public,admin pick the roles per route
+ * (see scripts/lib/auth.js). Without it the routes are public. The admin routes then
+ * require the admin role instead of the X-Admin-Key header.
+ *
+ * --bulk adds POST, PATCH, and DELETE /bulk for many records per request, with one
+ * result per item; the entity needs the bulk operations of create-entity.js --bulk.
+ * The routes take the guards of create, update, and remove. Regenerating keeps them
+ * unless --no-bulk is given.
+ *
+ * GET, POST, and PATCH return the record's version as an ETag, and PATCH honors If-Match
+ * (optimistic concurrency, see src/utils/etag.js, copied on first run)
+ *
+ * Controllers log through res.locals.logger: src/middleware/request-context.js sets it
+ * per request, with the X-Request-Id, on top of src/config/logger.js (both copied on first run)
+ *
+ * Routes are not registered by hand: src/routes/index.js (copied on first run)
+ * mounts every src/routes/{module}/*.routes.js when src/app.js calls registerRoutes(app)
+ *
+ * --cjs, --esm, and --ts choose the output like create-entity.js; without them the
+ * project decides (see scripts/lib/target.js)
+ *
+ * An existing module is only regenerated with --force or --merge; --dry-run prints
+ * the files without writing them (see scripts/lib/writer.js)
  */
 
 const fs = require('fs');
 const path = require('path');
-
-const moduleName = process.argv[2];
-const entityName = process.argv[3] || moduleName;
+const { AUTH_ROUTES, parseAuthRules, guardCall } = require('./lib/auth');
+const { operationNames, detectPattern } = require('./lib/entity-patterns');
+const { entityNames, typeNames, toCamelCase } = require('./lib/inflection');
+const { idPrefixFor, idNames } = require('./lib/id-prefixes');
+const { hasJestSetup } = require('./lib/project-files');
+const {
+  isRelationSpec,
+  parseRelations,
+  relatedEntities,
+  missingRelations,
+  declaredRelationSpecs,
+  relationSpec,
+} = require('./lib/relations');
+const { parseTarget, importPath, indexImportPath } = require('./lib/target');
+const { renderTemplate, reportTemplateOverrides } = require('./lib/templates');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+
+const args = process.argv.slice(2);
+const positional = args.filter((arg) => !arg.startsWith('--'));
+const [moduleName, entityArg] = positional.filter((arg) => !isRelationSpec(arg));
+const passedRelationSpecs = positional.filter(isRelationSpec);
+const entityName = entityArg || moduleName;
 
 if (!moduleName) {
   console.error('Error: Module name is required');
-  console.log('Usage: node scripts/create-module.js <module-name> [entity-name]');
+  console.log('Usage: node scripts/create-module.js <module-name> [entity-name] [name:relation:entity...] [--auth[=<rules>]] [--bulk] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]');
   console.log('Example: node scripts/create-module.js subscribers');
   console.log('Example: node scripts/create-module.js categories job-categories');
   process.exit(1);
@@ -23,180 +80,281 @@ if (!moduleName) {
 
 const moduleDir = path.join(process.cwd(), 'src', 'routes', moduleName);
 
+// Operations-pattern entities export their operations from index.js instead of a service file
+const pattern = detectPattern(path.join(process.cwd(), 'src', 'entities', entityName));
+
+let names;
+let moduleVariable;
+let target;
+let relationSpecs;
+let declaredSpecs;
+let relations;
+let authRoles;
+let writer;
+try {
+  target = parseTarget(args);
+  names = { ...entityNames(entityName), ...idNames(idPrefixFor(entityName, target)) };
+  moduleVariable = entityNames(moduleName).camelName;
+
+  // The module serves every relation of the entity: the ones not passed are read from its
+  // repository, since the routes tests insert the rows its foreign keys point at
+  const entitiesDir = path.join(process.cwd(), 'src', 'entities');
+  const repositoryFile = path.join(entitiesDir, entityName, `${entityName}.repository${target.ext}`);
+  const passedNames = passedRelationSpecs.map((spec) => toCamelCase(spec.split(':')[0]));
+  declaredSpecs = fs.existsSync(repositoryFile)
+    ? declaredRelationSpecs(fs.readFileSync(repositoryFile, 'utf8'), entityName, fs.readdirSync(entitiesDir))
+      .filter((spec) => !passedNames.includes(toCamelCase(spec.split(':')[0])))
+    : [];
+  relationSpecs = [...passedRelationSpecs, ...declaredSpecs];
+  relations = parseRelations(relationSpecs, { entityName, names, pattern, target });
+  authRoles = parseAuthRules(args, [
+    ...AUTH_ROUTES,
+    ...[...relations.hasMany, ...relations.manyToMany].map((relation) => relation.name),
+  ]);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
 // Check if module already exists
-if (fs.existsSync(moduleDir)) {
+if (fs.existsSync(moduleDir) && writer.mode === 'create') {
   console.error(`Error: Module "${moduleName}" already exists at ${moduleDir}`);
+  console.log('Rerun with --merge to add what is missing, or --force to overwrite it');
   process.exit(1);
 }
 
-// Create module directory
-fs.mkdirSync(moduleDir, { recursive: true });
-
 // Generate file contents
-const capitalizedModule = moduleName.charAt(0).toUpperCase() + moduleName.slice(1);
-const capitalizedEntity = entityName.charAt(0).toUpperCase() + entityName.slice(1);
-
-// Controller file
-const controllerContent = `const ${entityName}Service = require('../../entities/${entityName}/${entityName}.service');
-
-const create${capitalizedEntity} = async (req, res, next) => {
-  try {
-    const logger = res.locals.logger.child({ module: '${moduleName}' });
-    const data = req.body;
-
-    logger.info('Creating ${entityName}', { data });
-
-    const ${entityName} = await ${entityName}Service.create${capitalizedEntity}(data);
-
-    logger.info('${capitalizedEntity} created successfully', { id: ${entityName}.id });
-
-    res.status(201).json({
-      success: true,
-      data: ${entityName},
-    });
-  } catch (error) {
-    next(error);
-  }
+const { camelName, singularPascal, missingId } = names;
+const { ext } = target;
+
+// Each route's guard, e.g. authorize(['admin']), or null when it is public
+const guardOf = (route) => (authRoles ? guardCall(authRoles[route]) : null);
+const guarded = (relation) => ({ ...relation, guard: guardOf(relation.name) });
+relations = {
+  ...relations,
+  hasMany: relations.hasMany.map(guarded),
+  manyToMany: relations.manyToMany.map(guarded),
 };
-
-const get${capitalizedEntity} = async (req, res, next) => {
-  try {
-    const logger = res.locals.logger.child({ module: '${moduleName}' });
-    const { id } = req.params;
-
-    logger.info('Fetching ${entityName}', { id });
-
-    const ${entityName} = await ${entityName}Service.get${capitalizedEntity}ById(id);
-
-    res.status(200).json({
-      success: true,
-      data: ${entityName},
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
-const getAll${capitalizedEntity}s = async (req, res, next) => {
-  try {
-    const logger = res.locals.logger.child({ module: '${moduleName}' });
-    logger.info('Fetching all ${entityName}s');
-
-    const ${entityName}s = await ${entityName}Service.getAll${capitalizedEntity}s();
-
-    res.status(200).json({
-      success: true,
-      data: ${entityName}s,
-    });
-  } catch (error) {
-    next(error);
-  }
+const listRelations = [...relations.hasMany, ...relations.manyToMany];
+
+// The routes test sends a token with every role the guarded routes require, and
+// checks the authentication errors on one guarded route (a restricted one if any)
+const guardedRoutes = authRoles
+  ? Object.entries(authRoles).filter(([, roles]) => roles !== null)
+  : [];
+const probeRequests = {
+  getAll: { method: 'get', path: '', status: 200 },
+  getById: { method: 'get', path: `/${missingId}`, status: 404 },
+  remove: { method: 'delete', path: `/${missingId}`, status: 404 },
+  update: { method: 'patch', path: `/${missingId}`, body: `build${singularPascal}Update`, status: 404 },
+  create: { method: 'post', path: '', body: `build${singularPascal}Input`, status: 201 },
 };
-
-const update${capitalizedEntity} = async (req, res, next) => {
-  try {
-    const logger = res.locals.logger.child({ module: '${moduleName}' });
-    const { id } = req.params;
-    const updates = req.body;
-
-    logger.info('Updating ${entityName}', { id, updates });
-
-    const ${entityName} = await ${entityName}Service.update${capitalizedEntity}(id, updates);
-
-    logger.info('${capitalizedEntity} updated successfully', { id: ${entityName}.id });
-
-    res.status(200).json({
-      success: true,
-      data: ${entityName},
-    });
-  } catch (error) {
-    next(error);
+listRelations.forEach((relation) => {
+  probeRequests[relation.name] = { method: 'get', path: `/${missingId}/${relation.path}`, status: 404 };
+});
+
+const [probeRoute, probeRoles] = guardedRoutes.find(([, roles]) => roles.length > 0) || guardedRoutes[0] || [];
+const testRoles = [...new Set(guardedRoutes.flatMap(([, roles]) => roles))];
+const auth = guardedRoutes.length > 0
+  ? {
+    testRoles: `[${testRoles.map((role) => `'${role}'`).join(', ')}]`,
+    apiKeyRoles: probeRoles.join('+'),
+    probe: { ...probeRequests[probeRoute], restricted: probeRoles.length > 0 },
   }
+  : null;
+
+// Entities generated with --audit record their changes; the routes test reads the entries
+const entityDir = path.join(process.cwd(), 'src', 'entities', entityName);
+const audit = fs.existsSync(entityDir) && fs.readdirSync(entityDir)
+  .filter((file) => /\.[jt]s$/.test(file) && !file.includes('.test.'))
+  .some((file) => fs.readFileSync(path.join(entityDir, file), 'utf8').includes('recordAudit('));
+
+// Regenerating keeps the bulk routes unless --no-bulk is given; they call the bulk
+// operations of entities generated with --bulk
+const projectFile = (file) => {
+  const filePath = path.join(process.cwd(), file);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
 };
+const bulk = args.includes('--bulk')
+  || (!args.includes('--no-bulk') && projectFile(path.join('src', 'routes', moduleName, `${moduleName}.routes${ext}`)).includes("'/bulk'"));
 
-const delete${capitalizedEntity} = async (req, res, next) => {
-  try {
-    const logger = res.locals.logger.child({ module: '${moduleName}' });
-    const { id } = req.params;
-
-    logger.info('Deleting ${entityName}', { id });
+if (bulk && !projectFile(path.join('src', 'entities', entityName, `${entityName}.validators${ext}`)).includes('bulkItems(')) {
+  console.error(`Error: Entity "${entityName}" has no bulk operations`);
+  console.log(`Add them first: node scripts/create-entity.js ${entityName} <fields> --bulk --merge`);
+  process.exit(1);
+}
 
-    const result = await ${entityName}Service.delete${capitalizedEntity}(id);
+const repositorySource = projectFile(path.join('src', 'entities', entityName, `${entityName}.repository${ext}`));
 
-    logger.info('${capitalizedEntity} deleted successfully', { id });
+// The relation routes call the entity's relation operations, which create-entity.js
+// generates from the same specs
+const unknownRelations = missingRelations(relations, repositorySource).map(relationSpec);
+if (unknownRelations.length > 0) {
+  console.error(`Error: Entity "${entityName}" was not generated with ${unknownRelations.join(', ')}`);
+  console.log(`Add them first: node scripts/create-entity.js ${entityName} <fields> ${unknownRelations.join(' ')} --merge`);
+  process.exit(1);
+}
 
-    res.status(200).json(result);
-  } catch (error) {
-    next(error);
-  }
+// Entities with a unique field answer a create whose value is taken with 409
+const uniqueField = repositorySource.includes('CONFLICT_COLUMN');
+
+// Entities with an optional field have a fixture that clears it, which PATCH must accept
+const clearableField = projectFile(path.join('src', 'test', 'fixtures', `${entityName}.fixtures${ext}`)).includes(`build${singularPascal}Clear`);
+
+// Variables available to every module template (see references/templates.md)
+const context = {
+  moduleName,
+  moduleVariable,
+  entityName,
+  ...names,
+  pattern,
+  esm: target.esm,
+  types: typeNames(names),
+  ops: operationNames(names, pattern),
+  service: pattern === 'operations' ? `${camelName}Operations` : `${camelName}Service`,
+  servicePath: pattern === 'operations'
+    ? indexImportPath(target, `../../entities/${entityName}`)
+    : importPath(target, `../../entities/${entityName}/${entityName}.service`),
+  basePath: `/api/v1/${moduleName}`,
+  adminBasePath: `/api/v1/admin/${moduleName}`,
+  relations,
+  listRelations,
+  // The routes test inserts the records the fixtures point at, and related records
+  hasRelations: relationSpecs.length > 0,
+  audit,
+  bulk,
+  uniqueField,
+  clearableField,
+  // The routes test queries the database directly
+  usesDb: relationSpecs.length > 0 || audit,
+  parents: relatedEntities(relations, ['belongsTo']),
+  relatedFixtures: relatedEntities(relations),
+  ownInsert: listRelations.some((relation) => relation.related.self),
+  guards: Object.fromEntries(AUTH_ROUTES.map((route) => [route, guardOf(route)])),
+  auth,
+  // With --auth the admin routes take the admin role instead of the X-Admin-Key header
+  adminAuth: Boolean(authRoles),
 };
 
-module.exports = {
-  create${capitalizedEntity},
-  get${capitalizedEntity},
-  getAll${capitalizedEntity}s,
-  update${capitalizedEntity},
-  delete${capitalizedEntity},
-};
-`;
+// Project templates may be broken, so rendering errors end the script like bad arguments
+let moduleFiles;
+try {
+  moduleFiles = ['controller', 'routes', 'admin.routes', 'routes.test'].map((name) => [
+    `${moduleName}.${name}${ext}`,
+    renderTemplate(`module/${name}${ext}`, context),
+  ]);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
-// Routes file
-const routesContent = `const express = require('express');
-const ${moduleName}Controller = require('./${moduleName}.controller');
-const {
-  create${capitalizedEntity}Schema,
-  update${capitalizedEntity}Schema,
-  ${entityName}IdSchema,
-  validate,
-} = require('../../entities/${entityName}/${entityName}.validators');
-
-const router = express.Router();
-
-// POST /api/v1/${moduleName}
-router.post(
-  '/',
-  validate(create${capitalizedEntity}Schema),
-  ${moduleName}Controller.create${capitalizedEntity}
-);
+// Write files
+const modulePath = path.join('src', 'routes', moduleName);
+moduleFiles.forEach(([file, content]) => writer.write(path.join(modulePath, file), content));
+
+writer.ensureExample(path.join('routes', 'index.js'), path.join('src', 'routes', 'index.js'));
+const loggerCreated = writer.ensureExample(path.join('config', 'logger.js'), path.join('src', 'config', 'logger.js'));
+writer.ensureExample(path.join('middleware', 'request-context.js'), path.join('src', 'middleware', 'request-context.js'));
+writer.ensureExample(path.join('middleware', 'validate.js'), path.join('src', 'middleware', 'validate.js'));
+writer.ensureExample(path.join('middleware', 'error-handler.js'), path.join('src', 'middleware', 'error-handler.js'));
+writer.ensureExample(path.join('middleware', 'idempotency.js'), path.join('src', 'middleware', 'idempotency.js'));
+if (authRoles) {
+  writer.ensureExample(path.join('middleware', 'auth.js'), path.join('src', 'middleware', 'auth.js'));
+} else {
+  writer.ensureExample(path.join('middleware', 'require-admin.js'), path.join('src', 'middleware', 'require-admin.js'));
+}
+writer.ensureExampleMigration('migration-create-idempotency-keys.js', 'create_idempotency_keys_table');
+writer.ensureExample(path.join('utils', 'errors.js'), path.join('src', 'utils', 'errors.js'));
+writer.ensureExample(path.join('utils', 'etag.js'), path.join('src', 'utils', 'etag.js'));
+writer.ensureExample(path.join('utils', 'safe-equal.js'), path.join('src', 'utils', 'safe-equal.js'));
+writer.ensureExample(path.join('test', 'test-db.js'), path.join('src', 'test', 'test-db.js'));
+writer.ensureExample(path.join('test', 'test-app.js'), path.join('src', 'test', 'test-app.js'));
+
+// The route loader picks the module up once app.js calls registerRoutes(app)
+const appFile = path.join(process.cwd(), 'src', `app${ext}`);
+const usesRouteLoader = fs.existsSync(appFile) && fs.readFileSync(appFile, 'utf8').includes('registerRoutes(');
+
+// Controllers log through res.locals.logger, which requestContext() sets for each request
+const testAppFile = path.join(process.cwd(), 'src', 'test', `test-app${ext}`);
+const usesRequestContext = (file) => fs.existsSync(file) && fs.readFileSync(file, 'utf8').includes('requestContext(');
+
+// Test databases copied before versions existed read version's default as a string
+const testDbFile = path.join(process.cwd(), 'src', 'test', `test-db${ext}`);
+const testDbOutdated = fs.existsSync(testDbFile) && !fs.readFileSync(testDbFile, 'utf8').includes('integer[^,]*default');
+
+console.log(writer.headline(`Module "${moduleName}"`, `at ${moduleDir}`));
+writer.report();
+reportTemplateOverrides();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
 
-// GET /api/v1/${moduleName}
-router.get('/', ${moduleName}Controller.getAll${capitalizedEntity}s);
+console.log(`\nRoutes (mounted by src/routes/index${ext}, default prefix):`);
+console.log(`  - /api/v1/${moduleName}`);
+if (bulk) {
+  console.log(`  - /api/v1/${moduleName}/bulk`);
+}
+listRelations.forEach((relation) => console.log(`  - /api/v1/${moduleName}/:id/${relation.path}`));
+console.log(`  - /api/v1/admin/${moduleName}`);
 
-// GET /api/v1/${moduleName}/:id
-router.get(
-  '/:id',
-  validate(${entityName}IdSchema),
-  ${moduleName}Controller.get${capitalizedEntity}
-);
+if (declaredSpecs.length > 0) {
+  console.log(`\nRelations read from the entity: ${declaredSpecs.join(' ')}`);
+}
 
-// PATCH /api/v1/${moduleName}/:id
-router.patch(
-  '/:id',
-  validate(${entityName}IdSchema),
-  validate(update${capitalizedEntity}Schema),
-  ${moduleName}Controller.update${capitalizedEntity}
-);
+if (authRoles) {
+  console.log('\nAccess (--auth):');
+  Object.entries(authRoles).forEach(([route, roles]) => {
+    const access = roles === null ? 'public' : roles.join(' or ') || 'authenticated';
+    console.log(`  - ${route}: ${access}`);
+  });
+}
 
-// DELETE /api/v1/${moduleName}/:id
-router.delete(
-  '/:id',
-  validate(${entityName}IdSchema),
-  ${moduleName}Controller.delete${capitalizedEntity}
+const nextSteps = [];
+if (writer.results.some((result) => result.differences)) {
+  nextSteps.push('Port the changes you want from the differences above by hand');
+}
+if (!usesRouteLoader) {
+  nextSteps.push(target.esm
+    ? `Mount all route modules from src/app${ext} (once, before the error handler):
+     import { registerRoutes } from './routes/index.js';
+     await registerRoutes(app);`
+    : `Mount all route modules from src/app.js (once, before the error handler):
+     const { registerRoutes } = require('./routes');
+     registerRoutes(app);`);
+}
+if (!usesRequestContext(appFile)) {
+  nextSteps.push(target.esm
+    ? `Mount the request context first in src/app${ext}, in place of any middleware that sets res.locals.logger:
+     import { requestContext } from './middleware/request-context.js';
+     app.use(requestContext());`
+    : `Mount the request context first in src/app.js, in place of any middleware that sets res.locals.logger:
+     const { requestContext } = require('./middleware/request-context');
+     app.use(requestContext());`);
+}
+if (fs.existsSync(testAppFile) && !usesRequestContext(testAppFile)) {
+  nextSteps.push(`Use app.use(requestContext()) in src/test/test-app${ext} as well, so the routes tests get request ids`);
+}
+if (testDbOutdated) {
+  nextSteps.push(`Add the integer default rewrite to PG_MEM_REWRITES in src/test/test-db${ext} (examples/test/test-db.js), so the routes tests read version as a number`);
+}
+if (audit && !fs.existsSync(path.join(process.cwd(), 'src', 'entities', 'audit-log'))) {
+  nextSteps.push('Add the audit log the entity writes to (once): node scripts/create-audit.js');
+}
+if (loggerCreated) {
+  nextSteps.push('Install the logger (once): npm install winston; LOG_LEVEL and LOG_REDACT_FIELDS configure it (references/logging.md)');
+}
+if (authRoles) {
+  nextSteps.push('Set JWT_SECRET (Bearer tokens) or API_KEYS (X-API-Key header) in .env; admin routes require the admin role (references/authentication.md)');
+} else {
+  nextSteps.push('Set ADMIN_API_KEY in .env; admin requests send it in the X-Admin-Key header');
+}
+nextSteps.push(
+  'Install test dependencies (once): npm install --save-dev jest supertest pg-mem',
+  ...(hasJestSetup(target) ? [] : [`Set up Jest for ${target.label} once (references/module-formats.md)`]),
+  `Run the tests: npx jest src/routes/${moduleName}`
 );
 
-module.exports = router;
-`;
-
-// Write files
-fs.writeFileSync(path.join(moduleDir, `${moduleName}.controller.js`), controllerContent);
-fs.writeFileSync(path.join(moduleDir, `${moduleName}.routes.js`), routesContent);
-
-console.log(`✅ Module "${moduleName}" created successfully at ${moduleDir}`);
-console.log('\nFiles created:');
-console.log(`  - ${moduleName}.controller.js`);
-console.log(`  - ${moduleName}.routes.js`);
 console.log('\nNext steps:');
-console.log(`  1. Register routes in src/app.js:`);
-console.log(`     const ${moduleName}Routes = require('./routes/${moduleName}/${moduleName}.routes');`);
-console.log(`     app.use('/api/v1/${moduleName}', ${moduleName}Routes);`);
-console.log(`  2. Test your endpoints`);
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
@@ -0,0 +1,633 @@
+#!/usr/bin/env node
+
+/**
+ * Script to generate an OpenAPI 3.1 document from the route modules and entity schemas
+ * Usage: node scripts/create-openapi.js [--out=openapi.json] [--prefix=/api/v1] [--serve] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
+ * Example: node scripts/create-openapi.js
+ * Example: node scripts/create-openapi.js --serve
+ * Example: npx tsx scripts/create-openapi.js (TypeScript projects)
+ *
+ * Run from the project root. Reads:
+ *   - src/routes/index.js                           mountPathFor(), the mount path of each
+ *     routes file: {prefix}/{module}, {prefix}/{group}/{module} for {module}.{group}.routes.js
+ *     (e.g. admin routes), and {prefix} itself for home.routes.js
+ *   - src/routes/{module}/{module}[.{group}].routes.js paths, methods, validate() schemas
+ *   - src/entities/{entity}/{entity}.validators.js  request body component names
+ *   - src/entities/{entity}/{entity}.dtos.js        response data components
+ *
+ * Zod schemas are converted with z.toJSONSchema (Zod 4) or the zod-to-json-schema
+ * package (Zod 3). --serve also writes src/routes/docs/docs.routes.js, which serves
+ * the document at {prefix}/docs.
+ *
+ * The document is rewritten on every run. An existing docs.routes.js is kept unless
+ * --force or --merge is given; --dry-run prints both without writing them.
+ *
+ * The modules are loaded with import(), so ES module projects work as they are.
+ * TypeScript projects read the .ts files, which needs a loader that maps their `.js`
+ * import specifiers to .ts, such as tsx.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { pathToFileURL } = require('url');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+const { toPascalCase } = require('./lib/inflection');
+const { parseTarget } = require('./lib/target');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const arg = args.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const outFile = option('out', 'openapi.json');
+const prefix = option('prefix', process.env.API_PREFIX || '/api/v1').replace(/\/$/, '');
+const serve = args.includes('--serve');
+
+let target;
+let writer;
+try {
+  target = parseTarget(args);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+const projectDir = process.cwd();
+const routesDir = path.join(projectDir, 'src', 'routes');
+const entitiesDir = path.join(projectDir, 'src', 'entities');
+
+if (!fs.existsSync(routesDir)) {
+  console.error(`Error: No routes found at ${routesDir}`);
+  console.log('Run this script from the project root');
+  process.exit(1);
+}
+
+// The route modules load src/config/env, which requires DATABASE_URL and throws without
+// a .env (fresh checkouts, CI). Building the document never connects to the database, so
+// unset variables get a placeholder; variables set in the environment are kept
+const PLACEHOLDER_ENV = {
+  DATABASE_URL: 'postgresql://openapi@localhost:5432/openapi',
+};
+Object.entries(PLACEHOLDER_ENV).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
+
+// Resolve zod and zod-to-json-schema from the project, not from the plugin
+const projectRequire = createRequire(path.join(projectDir, 'package.json'));
+
+const loadConverter = () => {
+  const { z } = projectRequire('zod');
+
+  if (typeof z.toJSONSchema === 'function') {
+    return (schema) => z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+  }
+
+  try {
+    const { zodToJsonSchema } = projectRequire('zod-to-json-schema');
+    return (schema) => {
+      const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+        $refStrategy: 'none',
+        effectStrategy: 'input',
+      });
+      return jsonSchema;
+    };
+  } catch (error) {
+    console.error('Error: Zod 3 projects need zod-to-json-schema to generate the document');
+    console.log('Install it with: npm install --save-dev zod-to-json-schema');
+    process.exit(1);
+  }
+};
+
+const toJsonSchema = loadConverter();
+
+const { ext } = target;
+
+// Exports of a project module; import() wraps a CommonJS module's exports in `default`
+const loadModule = async (file) => {
+  const namespace = await import(pathToFileURL(file).href);
+  return target.esm ? namespace : namespace.default;
+};
+
+const listDirs = (dir) => (fs.existsSync(dir)
+  ? fs.readdirSync(dir).filter((name) => fs.statSync(path.join(dir, name)).isDirectory())
+  : []);
+
+// Shared response shapes
+const components = {
+  schemas: {
+    ErrorResponse: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', const: false },
+        error: {
+          type: 'object',
+          properties: {
+            code: { type: 'string' },
+            message: { type: 'string' },
+            details: {},
+          },
+          required: ['code', 'message'],
+        },
+        requestId: { type: 'string' },
+      },
+      required: ['success', 'error'],
+    },
+    PageMeta: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'] },
+      },
+      required: ['total', 'limit', 'nextCursor'],
+    },
+  },
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('ErrorResponse') } },
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+// Entity schemas: validators become request components, DTOs become response components
+const loadEntity = async (entityName) => {
+  const entityDir = path.join(entitiesDir, entityName);
+  const validatorsFile = path.join(entityDir, `${entityName}.validators${ext}`);
+  const dtosFile = path.join(entityDir, `${entityName}.dtos${ext}`);
+  const mapToFile = path.join(entityDir, `mapTo${ext}`);
+  const repositoryFile = path.join(entityDir, `${entityName}.repository${ext}`);
+
+  const schemaNames = new Map();
+  let bodyProperties = {};
+  let versioned = false;
+
+  if (fs.existsSync(validatorsFile)) {
+    Object.entries(await loadModule(validatorsFile)).forEach(([exportName, schema]) => {
+      if (!schema || typeof schema.safeParse !== 'function') {
+        return;
+      }
+      schemaNames.set(schema, toPascalCase(exportName.replace(/Schema$/, '')));
+
+      if (/^create.*Schema$/.test(exportName)) {
+        bodyProperties = toJsonSchema(schema).properties || {};
+      }
+    });
+  }
+
+  // DTOs are plain functions, so their shape comes from the keys they return
+  const dtoFile = [dtosFile, mapToFile].find((file) => fs.existsSync(file));
+  const dtoExports = dtoFile
+    ? Object.entries(await loadModule(dtoFile)).filter(([exportName]) => /Dto$|^mapTo/.test(exportName))
+    : [];
+
+  // Responses use the active-record DTO; ES module namespaces list exports alphabetically,
+  // so it is picked by name rather than by position
+  const [dtoExport] = dtoExports.filter(([exportName]) => !/^(mapTo)?deleted/i.test(exportName)).concat(dtoExports);
+  const dtoName = dtoExport ? toPascalCase(dtoExport[0].replace(/^mapTo/, '')) : null;
+
+  dtoExports.forEach(([exportName, dto]) => {
+    const record = new Proxy({}, { get: () => undefined });
+    const sample = dto(record) || {};
+    const properties = {};
+
+    if (exportName === dtoExport[0]) {
+      versioned = 'version' in sample;
+    }
+
+    Object.keys(sample).forEach((key) => {
+      if (bodyProperties[key]) {
+        properties[key] = bodyProperties[key];
+      } else if (key === 'id') {
+        properties[key] = { type: 'string' };
+      } else if (key === 'version') {
+        properties[key] = { type: 'integer', minimum: 1 };
+      } else if (/At$/.test(key)) {
+        properties[key] = { type: 'string', format: 'date-time' };
+      } else if (sample[key] !== undefined) {
+        properties[key] = { type: typeof sample[key] === 'number' ? 'number' : typeof sample[key] };
+      } else {
+        properties[key] = {};
+      }
+    });
+
+    components.schemas[toPascalCase(exportName.replace(/^mapTo/, ''))] = { type: 'object', properties };
+  });
+
+  // A create whose unique value is taken answers 409 (CONFLICT_COLUMN in the repository)
+  const conflictMatch = fs.existsSync(repositoryFile)
+    && fs.readFileSync(repositoryFile, 'utf8').match(/CONFLICT_COLUMN = '(\w+)'/);
+  const uniqueColumn = conflictMatch ? conflictMatch[1] : null;
+
+  return { schemaNames, dtoName, versioned, uniqueColumn };
+};
+
+// Path and query parameters from a validate() schema
+const toParameters = (schema, location) => {
+  const { properties = {}, required = [] } = toJsonSchema(schema);
+
+  return Object.entries(properties).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: propertySchema,
+  }));
+};
+
+const buildOperation = ({ moduleName, routePath, method, handlers, entity, adminOnly, routerGuard }) => {
+  const validator = handlers.find((handler) => handler.schemas);
+  const schemas = validator ? validator.schemas : {};
+  // authorize(roles) exposes its roles like validate() exposes its schemas
+  const guard = handlers.find((candidate) => Array.isArray(candidate.roles)) || routerGuard;
+  // and idempotency() its key limit
+  const idempotent = handlers.find((candidate) => typeof candidate.maxKeyLength === 'number');
+  const handler = handlers[handlers.length - 1];
+  const pathParams = (routePath.match(/:(\w+)/g) || []).map((param) => param.slice(1));
+  // Records with a version send it as an ETag, which PATCH takes back in If-Match
+  const sendsETag = entity.versioned && !adminOnly
+    && ((method === 'post' && routePath === '') || (['get', 'patch'].includes(method) && routePath === '/:id'));
+
+  const operation = {
+    tags: [moduleName],
+    operationId: handler.name || `${method}${toPascalCase(moduleName)}`,
+    parameters: [],
+    responses: {},
+  };
+
+  if (schemas.params) {
+    operation.parameters.push(...toParameters(schemas.params, 'path'));
+  } else {
+    pathParams.forEach((name) => {
+      operation.parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    });
+  }
+
+  if (schemas.query) {
+    operation.parameters.push(...toParameters(schemas.query, 'query'));
+  }
+
+  // Lists take paginationQuery() (utils/pagination.js); other GETs, such as the home and
+  // health routes, answer with a single object
+  const queryNames = operation.parameters.filter((parameter) => parameter.in === 'query').map((parameter) => parameter.name);
+  const paginated = method === 'get' && ['limit', 'cursor'].every((name) => queryNames.includes(name));
+
+  if (sendsETag && method === 'patch') {
+    operation.parameters.push({
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      description: 'ETag of the version the change is based on; a newer version fails with 409',
+      schema: { type: 'string', example: '"1"' },
+    });
+  }
+
+  if (idempotent) {
+    operation.parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key replay the first response instead of writing again',
+      schema: { type: 'string', maxLength: idempotent.maxKeyLength },
+    });
+  }
+
+  if (schemas.body) {
+    const componentName = entity.schemaNames.get(schemas.body);
+    if (componentName && !components.schemas[componentName]) {
+      components.schemas[componentName] = toJsonSchema(schemas.body);
+    }
+
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': {
+          schema: componentName ? ref(componentName) : toJsonSchema(schemas.body),
+        },
+      },
+    };
+  }
+
+  const data = entity.dtoName ? ref(entity.dtoName) : { type: 'object' };
+  const envelope = (dataSchema, extra = {}) => ({
+    type: 'object',
+    properties: { success: { type: 'boolean', const: true }, data: dataSchema, ...extra },
+    required: ['success', 'data', ...Object.keys(extra)],
+  });
+
+  // Bulk routes answer with one result per item, in request order
+  const bulk = routePath === '/bulk';
+  if (bulk) {
+    components.schemas.BulkFailure = {
+      type: 'object',
+      properties: {
+        index: { type: 'integer' },
+        success: { type: 'boolean', const: false },
+        error: components.schemas.ErrorResponse.properties.error,
+      },
+      required: ['index', 'success', 'error'],
+    };
+    components.schemas.BulkMeta = {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+      },
+      required: ['total', 'succeeded', 'failed'],
+    };
+  }
+  const bulkResults = (itemData) => envelope({
+    type: 'array',
+    items: {
+      oneOf: [
+        {
+          type: 'object',
+          properties: { index: { type: 'integer' }, success: { type: 'boolean', const: true }, data: itemData },
+          required: ['index', 'success', 'data'],
+        },
+        ref('BulkFailure'),
+      ],
+    },
+  }, { meta: ref('BulkMeta') });
+
+  if (bulk && method === 'delete') {
+    operation.responses['200'] = jsonResponse('Deleted, per item', bulkResults({
+      type: 'object',
+      properties: { id: { type: 'string' } },
+      required: ['id'],
+    }));
+  } else if (bulk) {
+    operation.responses[method === 'post' ? '201' : '200'] = jsonResponse(
+      method === 'post' ? 'Created, per item' : 'Updated, per item',
+      bulkResults(data)
+    );
+  } else if (method === 'delete') {
+    operation.responses['200'] = jsonResponse('Deleted', {
+      type: 'object',
+      properties: { success: { type: 'boolean', const: true } },
+      required: ['success'],
+    });
+  } else if (method === 'post' && pathParams.length === 0) {
+    operation.responses['201'] = jsonResponse('Created', envelope(data));
+  } else if (paginated) {
+    // A nested list (/:id/{relation}) holds records of another entity
+    const items = pathParams.length === 0 ? data : { type: 'object' };
+    operation.responses['200'] = jsonResponse('OK', envelope({ type: 'array', items }, { meta: ref('PageMeta') }));
+  } else {
+    operation.responses['200'] = jsonResponse('OK', envelope(data));
+  }
+
+  if (sendsETag) {
+    const success = operation.responses['201'] || operation.responses['200'];
+    success.headers = { ETag: { description: 'Version of the record, for If-Match', schema: { type: 'string' } } };
+  }
+
+  if (pathParams.length > 0) {
+    operation.responses['404'] = errorResponse('Not found');
+  }
+  const conflicts = [];
+  if (sendsETag && method === 'patch') {
+    conflicts.push('Modified by another request since the If-Match version');
+  }
+  if (entity.uniqueColumn && !adminOnly && method === 'post' && routePath === '') {
+    conflicts.push(`Another record has this ${entity.uniqueColumn}`);
+  }
+  if (idempotent) {
+    conflicts.push('A request with this Idempotency-Key is still in progress');
+  }
+  if (conflicts.length > 0) {
+    operation.responses['409'] = errorResponse(conflicts.join('; '));
+  }
+  if (schemas.params) {
+    operation.responses['400'] = errorResponse('Malformed path parameters');
+  }
+  const invalid = [];
+  if (validator && (schemas.query || schemas.body)) {
+    invalid.push('Validation failed');
+  }
+  if (idempotent) {
+    invalid.push('Idempotency-Key already used for a different request');
+  }
+  if (invalid.length > 0) {
+    operation.responses['422'] = errorResponse(invalid.join('; '));
+  }
+  if (adminOnly) {
+    operation.security = [{ adminKey: [] }];
+    operation.responses['401'] = errorResponse('Admin key is required');
+    operation.responses['403'] = errorResponse('Invalid admin key');
+  } else if (guard) {
+    components.securitySchemes = {
+      ...components.securitySchemes,
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    };
+    operation.security = [{ bearerAuth: [] }, { apiKey: [] }];
+    operation.responses['401'] = errorResponse('Authentication is required');
+    if (guard.roles.length > 0) {
+      operation.description = `Requires one of the roles: ${guard.roles.join(', ')}`;
+      operation.responses['403'] = errorResponse('Missing role');
+    }
+  }
+  operation.responses.default = errorResponse('Unexpected error');
+
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+};
+
+const paths = {};
+const modules = [];
+
+const documentRouter = async ({ routesFile, mountPath, moduleName }) => {
+  // The entity is whichever one the routes file imports its validators from
+  const source = fs.readFileSync(routesFile, 'utf8');
+  const entityMatch = source.match(/entities\/([^/'"]+)/);
+  const entity = entityMatch
+    ? await loadEntity(entityMatch[1])
+    : { schemaNames: new Map(), dtoName: null };
+
+  // Routes modules export the router: module.exports in CommonJS, the default export in ES modules
+  const routesModule = await loadModule(routesFile);
+  const router = target.esm ? routesModule.default : routesModule;
+
+  // router.use(requireAdmin) guards every route registered on the router
+  const adminOnly = (router.stack || []).some((layer) => !layer.route && layer.handle.name === 'requireAdmin');
+  // and router.use(authorize(roles)), as admin routes generated with --auth do
+  const routerGuardLayer = (router.stack || []).find((layer) => !layer.route && Array.isArray(layer.handle.roles));
+  const routerGuard = routerGuardLayer ? routerGuardLayer.handle : null;
+
+  if (adminOnly) {
+    components.securitySchemes = {
+      ...components.securitySchemes,
+      adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' },
+    };
+  }
+
+  (router.stack || []).forEach((layer) => {
+    if (!layer.route) {
+      return;
+    }
+
+    const routePath = layer.route.path === '/' ? '' : layer.route.path;
+    const openApiPath = `${mountPath}${routePath}`.replace(/:(\w+)/g, '{$1}');
+    const handlers = layer.route.stack.map((stackLayer) => stackLayer.handle);
+
+    Object.keys(layer.route.methods).forEach((method) => {
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = buildOperation({
+        moduleName,
+        routePath,
+        method,
+        handlers,
+        entity,
+        adminOnly,
+        routerGuard,
+      });
+    });
+  });
+};
+
+const ROUTES_SUFFIX = `.routes${ext}`;
+const HOME_MODULE = 'home';
+
+// The rule of examples/routes/index.js, for projects that register their routes in
+// src/app.js or whose loader does not export mountPathFor
+const defaultMountPathFor = (routesPrefix, fileName) => {
+  const [name, ...groups] = fileName.slice(0, -ROUTES_SUFFIX.length).split('.');
+  return [routesPrefix, ...groups, ...(name === HOME_MODULE ? [] : [name])].join('/');
+};
+
+// Paths come from the project's route loader, so they match where the app mounts each file
+const loadMountPathFor = async () => {
+  const loaderFile = path.join(routesDir, `index${ext}`);
+  const loader = fs.existsSync(loaderFile) ? await loadModule(loaderFile) : {};
+  return typeof loader.mountPathFor === 'function' ? loader.mountPathFor : defaultMountPathFor;
+};
+
+// Modules are documented one at a time so the paths keep the directory order; a module's
+// own routes come before its groups, such as {module}.admin.routes.js
+const documentModules = async () => {
+  const mountPathFor = await loadMountPathFor();
+
+  for (const moduleName of listDirs(routesDir)) {
+    const ownFile = `${moduleName}${ROUTES_SUFFIX}`;
+
+    if (moduleName === 'docs' || !fs.existsSync(path.join(routesDir, moduleName, ownFile))) {
+      continue;
+    }
+
+    const groupFiles = fs.readdirSync(path.join(routesDir, moduleName))
+      .filter((fileName) => fileName.startsWith(`${moduleName}.`) && fileName.endsWith(ROUTES_SUFFIX) && fileName !== ownFile)
+      .sort();
+
+    for (const fileName of [ownFile, ...groupFiles]) {
+      await documentRouter({
+        routesFile: path.join(routesDir, moduleName, fileName),
+        mountPath: mountPathFor(prefix, fileName),
+        moduleName,
+      });
+    }
+
+    modules.push(moduleName);
+  }
+};
+
+// Serves the document at {prefix}/docs. ES modules cannot require() JSON, and compiled
+// TypeScript runs from another directory, so both read it relative to the project root.
+const docsRoutesContent = (outPath) => {
+  const docsDir = path.join(routesDir, 'docs');
+  const specPath = path.relative(docsDir, outPath).split(path.sep).join('/');
+  const projectSpecPath = path.relative(projectDir, outPath).split(path.sep).join('/');
+
+  const imports = target.esm
+    ? `import fs from 'fs';
+import path from 'path';
+import express from 'express';
+
+// Read from the project root, where the server is started
+const openApiDocument = JSON.parse(fs.readFileSync(path.join(process.cwd(), '${projectSpecPath}'), 'utf8'));`
+    : `const express = require('express');
+const openApiDocument = require('${specPath.startsWith('.') ? specPath : `./${specPath}`}');`;
+
+  return `${imports}
+
+const router = express.Router();
+
+// GET ${prefix}/docs
+router.get('/', (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+${target.esm ? 'export default router;' : 'module.exports = router;'}
+`;
+};
+
+const main = async () => {
+  await documentModules();
+
+  const packageFile = path.join(projectDir, 'package.json');
+  const projectPackage = fs.existsSync(packageFile) ? require(packageFile) : {};
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: projectPackage.name || 'API',
+      version: projectPackage.version || '1.0.0',
+    },
+    tags: modules.map((name) => ({ name })),
+    paths,
+    components,
+  };
+
+  const outPath = path.resolve(projectDir, outFile);
+  writer.update(path.relative(projectDir, outPath), `${JSON.stringify(document, null, 2)}\n`);
+
+  if (serve) {
+    const docsFile = path.join(routesDir, 'docs', `docs.routes${ext}`);
+    writer.write(path.relative(projectDir, docsFile), docsRoutesContent(outPath));
+  }
+
+  console.log(writer.headline('OpenAPI document', `at ${outPath}`));
+  console.log(`\nDocumented ${Object.keys(paths).length} paths across ${modules.length} modules`);
+  writer.report();
+
+  if (writer.dryRun) {
+    process.exit(0);
+  }
+  console.log('\nNext steps:');
+
+  const nextSteps = ['Re-run this script whenever routes or validators change'];
+
+  // With the route loader in place the docs module is mounted like any other
+  const usesRouteLoader = fs.existsSync(path.join(routesDir, `index${ext}`));
+
+  if (serve && !usesRouteLoader) {
+    nextSteps.unshift(target.esm
+      ? `Register the docs route in src/app${ext}:
+     import docsRoutes from './routes/docs/docs.routes.js';
+     app.use('${prefix}/docs', docsRoutes);`
+      : `Register the docs route in src/app.js:
+     const docsRoutes = require('./routes/docs/docs.routes');
+     app.use('${prefix}/docs', docsRoutes);`);
+  }
+
+  nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
+};
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
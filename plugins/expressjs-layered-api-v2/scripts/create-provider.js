@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Script to generate a read-only entity served from a JSON, YAML, or CSV file
+ * Usage: node scripts/create-provider.js <entity-name> <data-file> [--key=slug] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]
+ * Example: node scripts/create-provider.js job-categories data/job-categories.yaml
+ * Example: node scripts/create-provider.js currencies data/currencies.csv --key=code
+ *
+ * The entity uses the alternative pattern (index.js, findOne.js, findMany.js, mapTo.js)
+ * and reads through src/entities/filesystem-provider.js, which caches the parsed file,
+ * indexes it by --key so findOne is a map lookup, and reloads it when the file changes.
+ * A missing data file is created empty; an existing one is never overwritten.
+ * --dry-run, --force, --merge, and the module format flags work as in create-entity.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { entityNames } = require('./lib/inflection');
+const { parseTarget, importPath, indexImportPath } = require('./lib/target');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+
+const DATA_FORMATS = ['.json', '.yaml', '.yml', '.csv'];
+
+const args = process.argv.slice(2);
+const keyArg = args.find((arg) => arg.startsWith('--key='));
+const key = keyArg ? keyArg.slice('--key='.length) : 'slug';
+const [entityName, dataFile] = args.filter((arg) => !arg.startsWith('--'));
+
+if (!entityName || !dataFile) {
+  console.error('Error: Entity name and data file are required');
+  console.log('Usage: node scripts/create-provider.js <entity-name> <data-file> [--key=slug] [--cjs | --esm | --ts] [--dry-run] [--force | --merge]');
+  console.log('Example: node scripts/create-provider.js job-categories data/job-categories.yaml');
+  process.exit(1);
+}
+
+const format = path.extname(dataFile).toLowerCase();
+if (!DATA_FORMATS.includes(format)) {
+  console.error(`Error: Unsupported data file "${dataFile}". Supported formats: ${DATA_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+  console.error(`Error: Invalid key "${key}". Use a record field name, e.g. slug`);
+  process.exit(1);
+}
+
+let names;
+let target;
+let writer;
+try {
+  names = entityNames(entityName);
+  target = parseTarget(args);
+  writer = createWriter({ ...parseWriteOptions(args), target });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+const entityDir = path.join(process.cwd(), 'src', 'entities', entityName);
+
+// Check if entity already exists
+if (fs.existsSync(entityDir) && writer.mode === 'create') {
+  console.error(`Error: Entity "${entityName}" already exists at ${entityDir}`);
+  console.log('Rerun with --merge to add what is missing, or --force to overwrite it');
+  process.exit(1);
+}
+
+// Generate file contents
+const { camelName, singularPascal, label } = names;
+const sourceName = `${camelName}Source`;
+const sourceFile = `${entityName}.source`;
+const dataPath = dataFile.split(path.sep).join('/');
+
+// `const {binding} = require('{specifier}');` or `import {binding} from '{specifier}.js';`
+const importLine = (binding, specifier) => (target.esm
+  ? `import ${binding} from '${importPath(target, specifier)}';`
+  : `const ${binding} = require('${specifier}');`);
+
+const exportLine = (names) => (target.esm ? `export { ${names} };` : `module.exports = { ${names} };`);
+
+// TypeScript annotations; the records are typed loosely until mapTo maps their fields
+const typed = (annotation) => (target.ts ? annotation : '');
+
+// The data file is resolved from the source module (src/entities/{entity}/), not the
+// working directory, so the server finds it wherever it is started from
+const projectDir = target.esm
+  ? "path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', '..')"
+  : "path.join(__dirname, '..', '..', '..')";
+
+const sourceContent = `${target.esm ? "import path from 'path';\nimport { fileURLToPath } from 'url';" : "const path = require('path');"}
+${importLine('{ createSource }', '../filesystem-provider')}
+
+const PROJECT_DIR = ${projectDir};
+
+${target.esm ? 'export default' : 'module.exports ='} createSource({ file: path.resolve(PROJECT_DIR, '${dataPath}'), key: '${key}' });
+`;
+
+const findOneContent = `${importLine(`{ mapTo${singularPascal} }`, './mapTo')}
+${importLine(sourceName, `./${sourceFile}`)}
+${importLine('{ NotFoundError }', '../../utils/errors')}
+
+const findOne = async (${key}${typed(': string')}) => {
+  const record = await ${sourceName}.findByKey(${key});
+
+  if (!record) {
+    throw new NotFoundError('${label} not found');
+  }
+
+  return mapTo${singularPascal}(record);
+};
+
+${exportLine('findOne')}
+`;
+
+const findManyContent = `${importLine(`{ mapTo${singularPascal} }`, './mapTo')}
+${importLine(sourceName, `./${sourceFile}`)}
+
+const findMany = async () => {
+  const records = await ${sourceName}.findAll();
+  return records.map(mapTo${singularPascal});
+};
+
+${exportLine('findMany')}
+`;
+
+const mapToContent = `const mapTo${singularPascal} = (record${typed(': Record<string, any>')}) => ({
+  ${key}: record.${key},
+  // TODO: Add other fields with camelCase mapping
+});
+
+${exportLine(`mapTo${singularPascal}`)}
+`;
+
+const indexContent = `${importLine('{ findOne }', './findOne')}
+${importLine('{ findMany }', './findMany')}
+
+${target.esm ? 'export' : 'module.exports ='} {
+  findOne,
+  findMany,
+};
+`;
+
+// Starter data files hold no records, so the entity works before data is added
+const EMPTY_DATA = {
+  '.json': '[]\n',
+  '.yaml': '[]\n',
+  '.yml': '[]\n',
+  '.csv': `${key}\n`,
+};
+
+const { ext } = target;
+const entityFiles = [
+  [`index${ext}`, indexContent],
+  [`findOne${ext}`, findOneContent],
+  [`findMany${ext}`, findManyContent],
+  [`mapTo${ext}`, mapToContent],
+  [`${sourceFile}${ext}`, sourceContent],
+];
+
+// Write entity files; the data file belongs to the project and is only created when missing
+const entityPath = path.join('src', 'entities', entityName);
+entityFiles.forEach(([file, content]) => writer.write(path.join(entityPath, file), content));
+
+const dataFileCreated = writer.ensure(path.normalize(dataFile), EMPTY_DATA[format]);
+writer.ensureExample('filesystem-provider.js', path.join('src', 'entities', 'filesystem-provider.js'));
+writer.ensureExample(path.join('utils', 'errors.js'), path.join('src', 'utils', 'errors.js'));
+
+console.log(writer.headline(`Entity "${entityName}"`, `at ${entityDir}`));
+writer.report();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
+
+const nextSteps = [];
+if (writer.results.some((result) => result.differences)) {
+  nextSteps.push('Port the changes you want from the differences above by hand');
+}
+if (dataFileCreated) {
+  nextSteps.push(`Add records to ${dataFile}, each with a unique "${key}"`);
+}
+if (writer.mode === 'create') {
+  nextSteps.push(`Update the DTO mapping in mapTo${ext}`);
+}
+if (format === '.yaml' || format === '.yml') {
+  nextSteps.push('Install a YAML parser unless the project has one: npm install yaml');
+}
+const entityImport = target.esm
+  ? `import * as ${camelName} from '${indexImportPath(target, `../../entities/${entityName}`)}';`
+  : `const ${camelName} = require('../../entities/${entityName}');`;
+nextSteps.push(`Call ${camelName}.findMany() and ${camelName}.findOne(${key}) from a controller: ${entityImport}`);
+
+console.log('\nNext steps:');
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
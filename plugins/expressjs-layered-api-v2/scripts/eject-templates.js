@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Script to copy the built-in code templates into the project so they can be customized
+ * Usage: node scripts/eject-templates.js [template-or-directory...] [--dry-run] [--force]
+ * Example: node scripts/eject-templates.js
+ * Example: node scripts/eject-templates.js module/controller.js entity/operations
+ *
+ * Templates are copied to .claude/templates/expressjs-layered-api/, which create-entity.js
+ * and create-module.js read before the built-in templates; delete a copied template to
+ * go back to the built-in one. Without arguments every template is copied. Existing
+ * copies are kept unless --force is given. See references/templates.md for the variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BUILT_IN_DIR, OVERRIDE_PATH } = require('./lib/templates');
+const { parseWriteOptions, createWriter } = require('./lib/writer');
+
+const TEMPLATE_SUFFIX = '.tmpl';
+
+const args = process.argv.slice(2);
+const requested = args.filter((arg) => !arg.startsWith('--'));
+
+let writer;
+try {
+  const options = parseWriteOptions(args);
+  if (options.mode === 'merge') {
+    throw new Error('--merge is not supported; rerun with --force to replace existing templates');
+  }
+  writer = createWriter(options);
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+const listFiles = (dir, prefix = '') => fs.readdirSync(dir, { withFileTypes: true })
+  .flatMap((entry) => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`]));
+
+// Template names relative to templates/, e.g. entity/repository.js
+const available = listFiles(BUILT_IN_DIR)
+  .filter((file) => file.endsWith(TEMPLATE_SUFFIX))
+  .map((file) => file.slice(0, -TEMPLATE_SUFFIX.length))
+  .sort();
+
+// A request names one template or a directory of them
+const matches = (name, request) => {
+  const normalized = request.replace(/\.tmpl$/, '').replace(/\/$/, '');
+  return name === normalized || name.startsWith(`${normalized}/`);
+};
+
+const unknown = requested.filter((request) => !available.some((name) => matches(name, request)));
+if (unknown.length > 0) {
+  console.error(`Error: Unknown template "${unknown[0]}"`);
+  console.log('Available templates:');
+  available.forEach((name) => console.log(`  - ${name}`));
+  process.exit(1);
+}
+
+const selected = requested.length > 0
+  ? available.filter((name) => requested.some((request) => matches(name, request)))
+  : available;
+
+selected.forEach((name) => {
+  const fileName = `${name}${TEMPLATE_SUFFIX}`;
+  writer.write(path.join(OVERRIDE_PATH, fileName), fs.readFileSync(path.join(BUILT_IN_DIR, fileName), 'utf8'));
+});
+
+console.log(writer.headline(`${selected.length} template${selected.length === 1 ? '' : 's'}`, `in ${OVERRIDE_PATH}`));
+writer.report();
+
+if (writer.dryRun) {
+  process.exit(0);
+}
+
+console.log('\nNext steps:');
+
+const nextSteps = [
+  `Edit the templates in ${OVERRIDE_PATH}/ (variables: references/templates.md)`,
+  'Delete any template you did not change, so it keeps following the built-in one',
+  'Preview the result: node scripts/create-entity.js <entity-name> --dry-run',
+];
+
+nextSteps.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
@@ -0,0 +1,78 @@
+/**
+ * Route access rules for create-module.js --auth
+ * Rule format: [<route>:]<access>, comma-separated; a rule without a route sets the default
+ *   --auth                      every route requires an authenticated caller
+ *   --auth=admin                every route requires the admin role
+ *   --auth=admin+editor         ... one of the roles
+ *   --auth=create:public,admin  public POST, admin for every other route
+ * Access is `public`, `authenticated`, or roles joined with `+`
+ * Routes are create, getAll, getById, update, and remove, plus the name of each
+ * hasMany and manyToMany relation for its nested routes
+ */
+
+const AUTH_ROUTES = ['create', 'getAll', 'getById', 'update', 'remove'];
+const ROLE_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// null for a public route, [] for any authenticated caller, or the roles
+const parseAccess = (access, rule) => {
+  if (access === 'public') {
+    return null;
+  }
+  if (access === 'authenticated') {
+    return [];
+  }
+
+  const roles = access.split('+');
+  if (roles.some((role) => !ROLE_PATTERN.test(role))) {
+    throw new Error(`Invalid --auth rule "${rule}". Expected public, authenticated, or roles joined with +`);
+  }
+  return roles;
+};
+
+// Roles by route for every route in `routes`, or null without --auth
+const parseAuthRules = (args, routes) => {
+  const authArg = args.find((arg) => arg === '--auth' || arg.startsWith('--auth='));
+  if (!authArg) {
+    return null;
+  }
+
+  const rules = authArg.slice('--auth='.length).split(',').filter(Boolean);
+  let defaultRoles = [];
+  const routeRoles = {};
+
+  rules.forEach((rule) => {
+    const [route, access] = rule.includes(':') ? rule.split(':') : [null, rule];
+
+    if (route !== null && !routes.includes(route)) {
+      throw new Error(`Unknown route "${route}" in --auth. Routes: ${routes.join(', ')}`);
+    }
+
+    const roles = parseAccess(access || '', rule);
+    if (route === null) {
+      defaultRoles = roles;
+    } else {
+      routeRoles[route] = roles;
+    }
+  });
+
+  return Object.fromEntries(routes.map((route) => [
+    route,
+    route in routeRoles ? routeRoles[route] : defaultRoles,
+  ]));
+};
+
+// The middleware call a route starts with, or null for a public route
+const guardCall = (roles) => {
+  if (roles === null) {
+    return null;
+  }
+  return roles.length > 0
+    ? `authorize([${roles.map((role) => `'${role}'`).join(', ')}])`
+    : 'authorize()';
+};
+
+module.exports = {
+  AUTH_ROUTES,
+  parseAuthRules,
+  guardCall,
+};
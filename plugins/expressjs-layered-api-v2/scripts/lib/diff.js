@@ -0,0 +1,101 @@
+/**
+ * Line-based unified diff for showing how a project file differs from the
+ * code a generator would write
+ */
+
+const CONTEXT_LINES = 3;
+
+// Longest common subsequence table, filled from the end so the walk below
+// can go forward through both files
+const lcsTable = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  return table;
+};
+
+// Every line tagged ' ' (both), '-' (only in a), or '+' (only in b)
+const diffLines = (a, b) => {
+  const table = lcsTable(a, b);
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ tag: ' ', text: a[i], i, j });
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      lines.push({ tag: '-', text: a[i], i, j });
+      i += 1;
+    } else {
+      lines.push({ tag: '+', text: b[j], i, j });
+      j += 1;
+    }
+  }
+  while (i < a.length) {
+    lines.push({ tag: '-', text: a[i], i, j });
+    i += 1;
+  }
+  while (j < b.length) {
+    lines.push({ tag: '+', text: b[j], i, j });
+    j += 1;
+  }
+
+  return lines;
+};
+
+const splitLines = (text) => {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+const range = (start, count) => `${count === 0 ? start : start + 1},${count}`;
+
+// Unified diff from `before` to `after`, or null when they are identical
+const unifiedDiff = (before, after, { fromFile, toFile }) => {
+  if (before === after) {
+    return null;
+  }
+
+  const lines = diffLines(splitLines(before), splitLines(after));
+  const changed = lines.map((line, index) => (line.tag === ' ' ? -1 : index)).filter((index) => index >= 0);
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  changed.forEach((index) => {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  hunks.forEach(({ start, end }) => {
+    const hunkLines = lines.slice(Math.max(0, start - CONTEXT_LINES), Math.min(lines.length, end + CONTEXT_LINES + 1));
+    const [first] = hunkLines;
+    const beforeCount = hunkLines.filter((line) => line.tag !== '+').length;
+    const afterCount = hunkLines.filter((line) => line.tag !== '-').length;
+
+    output.push(`@@ -${range(first.i, beforeCount)} +${range(first.j, afterCount)} @@`);
+    hunkLines.forEach((line) => output.push(`${line.tag}${line.text}`));
+  });
+
+  return `${output.join('\n')}\n`;
+};
+
+module.exports = { unifiedDiff };
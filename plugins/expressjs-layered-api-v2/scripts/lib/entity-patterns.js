@@ -0,0 +1,55 @@
+/**
+ * Entity layouts shared by the scaffolding scripts: the standard pattern keeps every
+ * operation in {entity}.service.js, the operations pattern puts each one in its own
+ * file and exports them from index.js (see references/alternative-entity-pattern.md)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PATTERNS = ['standard', 'operations'];
+
+// Function names for the generated CRUD, bulk, and admin operations; `names` comes
+// from entityNames() in lib/inflection.js
+const operationNames = ({ singularPascal, pluralPascal }, pattern) => {
+  if (pattern === 'operations') {
+    return {
+      create: 'create',
+      getById: 'findOne',
+      getAll: 'findMany',
+      update: 'update',
+      remove: 'remove',
+      getDeleted: 'findDeleted',
+      restore: 'restore',
+      purge: 'purge',
+      bulkCreate: 'createMany',
+      bulkUpdate: 'updateMany',
+      bulkRemove: 'removeMany',
+    };
+  }
+
+  return {
+    create: `create${singularPascal}`,
+    getById: `get${singularPascal}ById`,
+    getAll: `getAll${pluralPascal}`,
+    update: `update${singularPascal}`,
+    remove: `delete${singularPascal}`,
+    getDeleted: `getDeleted${pluralPascal}`,
+    restore: `restore${singularPascal}`,
+    purge: `purge${singularPascal}`,
+    bulkCreate: `bulkCreate${pluralPascal}`,
+    bulkUpdate: `bulkUpdate${pluralPascal}`,
+    bulkRemove: `bulkDelete${pluralPascal}`,
+  };
+};
+
+// Operations-pattern entities are recognized by their index.js (index.ts in TypeScript)
+const detectPattern = (entityDir) => (['index.js', 'index.ts'].some((file) => fs.existsSync(path.join(entityDir, file)))
+  ? 'operations'
+  : 'standard');
+
+module.exports = {
+  PATTERNS,
+  operationNames,
+  detectPattern,
+};
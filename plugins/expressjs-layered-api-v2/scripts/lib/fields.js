@@ -0,0 +1,306 @@
+/**
+ * Field spec parsing shared by the scaffolding scripts
+ * Spec format: <name>:<type>[?][:modifier...]
+ * Example: email:string:unique:required referrer:string? score:int:default=0
+ */
+
+const { toSnakeCase, toCamelCase } = require('./inflection');
+
+const BOOLEAN_QUERY = "z.enum(['true', 'false']).transform((value) => value === 'true')";
+
+// bigint and decimal values travel as strings, which keep their full precision: node-pg
+// returns these columns as strings, and a JavaScript number cannot hold every value
+const BIGINT_STRING = 'z.string().regex(/^-?\\d+$/, { message: "Must be an integer string" })';
+const DECIMAL_STRING = 'z.string().regex(/^-?\\d+(\\.\\d+)?$/, { message: "Must be a decimal string" })';
+
+// column: Knex column builder, zod: body rule, query: rule for query-string filters,
+// ts: TypeScript type of the column in row types and DTOs
+const FIELD_TYPES = {
+  string: { column: 'string', zod: 'z.string()', query: 'z.string()', ts: 'string' },
+  text: { column: 'text', zod: 'z.string()', query: null, ts: 'string' },
+  email: { column: 'string', zod: 'z.string().email({ message: "Invalid email address" })', query: 'z.string()', ts: 'string' },
+  url: { column: 'string', zod: 'z.string().url({ message: "Invalid URL" })', query: 'z.string()', ts: 'string' },
+  int: { column: 'integer', zod: 'z.number().int()', query: 'z.coerce.number().int()', ts: 'number' },
+  bigint: { column: 'bigInteger', zod: BIGINT_STRING, query: BIGINT_STRING, ts: 'string' },
+  float: { column: 'float', zod: 'z.number()', query: 'z.coerce.number()', ts: 'number' },
+  decimal: { column: 'decimal', zod: DECIMAL_STRING, query: DECIMAL_STRING, ts: 'string' },
+  boolean: { column: 'boolean', zod: 'z.boolean()', query: BOOLEAN_QUERY, ts: 'boolean' },
+  date: { column: 'date', zod: 'z.coerce.date()', query: 'z.coerce.date()', ts: 'Date' },
+  datetime: { column: 'timestamp', zod: 'z.coerce.date()', query: 'z.coerce.date()', ts: 'Date' },
+  json: { column: 'jsonb', zod: 'z.record(z.any())', query: null, ts: 'Record<string, unknown>' },
+  // Foreign keys of belongsTo relations (see ./relations.js); not a type for field specs.
+  // Their rules come from referenceRule()
+  reference: { column: 'string', zod: null, query: null, ts: 'string' },
+};
+
+// Source literals for generated test fixtures: [initial value, updated value]
+const SAMPLE_VALUES = {
+  string: ["'Sample value'", "'Updated value'"],
+  text: ["'Sample text'", "'Updated text'"],
+  email: ["'test@example.com'", "'updated@example.com'"],
+  url: ["'https://example.com'", "'https://example.org'"],
+  int: ['1', '2'],
+  bigint: ["'1'", "'2'"],
+  float: ['1.5', '2.5'],
+  decimal: ["'1.50'", "'2.50'"],
+  boolean: ['true', 'false'],
+  date: ["'2026-01-17'", "'2026-02-01'"],
+  datetime: ["'2026-01-17T10:00:00.000Z'", "'2026-02-01T10:00:00.000Z'"],
+  json: ["{ key: 'value' }", "{ key: 'updated' }"],
+};
+
+// Source expressions for the fixture at `index` of a list, so unique values differ per item
+const INDEXED_SAMPLE_VALUES = {
+  string: '`Sample value ${index + 1}`',
+  text: '`Sample text ${index + 1}`',
+  email: '`test-${index + 1}@example.com`',
+  url: '`https://example.com/${index + 1}`',
+  int: 'index + 1',
+  bigint: 'String(index + 1)',
+  float: 'index + 1.5',
+  decimal: '(index + 1.5).toFixed(2)',
+  boolean: 'index % 2 === 0',
+  date: 'new Date(Date.UTC(2026, 0, index + 1))',
+  datetime: 'new Date(Date.UTC(2026, 0, 17, 10, 0, index))',
+  json: '{ key: `value ${index + 1}` }',
+};
+
+const TYPE_ALIASES = {
+  integer: 'int',
+  bool: 'boolean',
+  timestamp: 'datetime',
+  jsonb: 'json',
+};
+
+const MODIFIERS = ['required', 'optional', 'unique', 'index'];
+
+// `default=<value>`: the column default, which existing rows get when the column is added.
+// The value cannot contain ":", the spec separator.
+const DEFAULT_MODIFIER = 'default=';
+
+const NUMBER_TYPES = ['int', 'float'];
+
+// Kept as written, since Number() would round them
+const NUMERIC_STRING_TYPES = { bigint: /^-?\d+$/, decimal: /^-?\d+(\.\d+)?$/ };
+
+// Columns every generated table already has
+const RESERVED_COLUMNS = ['id', 'is_deleted', 'deleted_at', 'version', 'created_at', 'updated_at'];
+
+const STRING_TYPES = ['string', 'text'];
+
+// Source literal of a default value, checked against the column type
+const defaultLiteral = (rawName, type, value) => {
+  if (NUMBER_TYPES.includes(type)) {
+    if (value === '' || !Number.isFinite(Number(value))) {
+      throw new Error(`Default "${value}" of field "${rawName}" is not a number`);
+    }
+    return String(Number(value));
+  }
+
+  if (NUMERIC_STRING_TYPES[type]) {
+    if (!NUMERIC_STRING_TYPES[type].test(value)) {
+      throw new Error(`Default "${value}" of field "${rawName}" is not ${type === 'bigint' ? 'an integer' : 'a decimal number'}`);
+    }
+    return `'${value}'`;
+  }
+
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value)) {
+      throw new Error(`Default "${value}" of field "${rawName}" must be true or false`);
+    }
+    return value;
+  }
+
+  if (type === 'json') {
+    throw new Error(`Field "${rawName}": json columns take no default`);
+  }
+
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+};
+
+const toLabel = (key) => {
+  const words = toSnakeCase(key).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const parseField = (spec) => {
+  const [rawName, rawType, ...modifiers] = spec.split(':');
+
+  if (!rawName || !rawType) {
+    throw new Error(`Invalid field "${spec}". Expected <name>:<type>[?][:modifier...]`);
+  }
+
+  const optionalType = rawType.endsWith('?');
+  const typeName = optionalType ? rawType.slice(0, -1) : rawType;
+  const type = TYPE_ALIASES[typeName] || typeName;
+
+  if (!FIELD_TYPES[type] || type === 'reference') {
+    const supported = Object.keys(FIELD_TYPES).filter((name) => name !== 'reference');
+    throw new Error(`Unknown type "${typeName}" for field "${rawName}". Supported types: ${supported.join(', ')}`);
+  }
+
+  const unknownModifier = modifiers.find((modifier) => !MODIFIERS.includes(modifier) && !modifier.startsWith(DEFAULT_MODIFIER));
+  if (unknownModifier) {
+    throw new Error(`Unknown modifier "${unknownModifier}" for field "${rawName}". Supported modifiers: ${MODIFIERS.join(', ')}, ${DEFAULT_MODIFIER}<value>`);
+  }
+
+  const defaultModifier = modifiers.find((modifier) => modifier.startsWith(DEFAULT_MODIFIER));
+
+  const name = toSnakeCase(rawName);
+  if (RESERVED_COLUMNS.includes(name)) {
+    throw new Error(`Field "${rawName}" is added to every entity automatically and cannot be declared`);
+  }
+
+  return {
+    name,
+    key: toCamelCase(rawName),
+    type,
+    required: !optionalType && !modifiers.includes('optional'),
+    unique: modifiers.includes('unique'),
+    index: modifiers.includes('index'),
+    ...(defaultModifier && { defaultValue: defaultLiteral(rawName, type, defaultModifier.slice(DEFAULT_MODIFIER.length)) }),
+  };
+};
+
+// `references` are the foreign key fields of belongsTo relations, from referenceField()
+const parseFields = (specs, references = []) => {
+  const fields = [...specs.map(parseField), ...references];
+
+  const seen = new Set();
+  fields.forEach((field) => {
+    if (seen.has(field.name)) {
+      throw new Error(`Field "${field.name}" is declared more than once`);
+    }
+    seen.add(field.name);
+  });
+
+  return fields;
+};
+
+// Foreign key column of a belongsTo relation; `related` comes from entityNames()
+const referenceField = ({ column, key, required }, related) => ({
+  name: column,
+  key,
+  type: 'reference',
+  required,
+  unique: false,
+  index: true,
+  references: {
+    table: related.tableName,
+    idPrefix: related.idPrefix,
+    testId: related.testId,
+    self: related.self,
+  },
+});
+
+// Foreign keys accept only IDs with the related entity's prefix (idSchema from utils/id-generator)
+const referenceRule = (field) => `idSchema('${field.references.idPrefix}')`;
+
+const zodBase = (field) => {
+  if (field.references) {
+    return referenceRule(field);
+  }
+
+  const base = FIELD_TYPES[field.type].zod;
+
+  // Required strings must not be blank
+  if (field.required && STRING_TYPES.includes(field.type)) {
+    return `${base}.min(1, { message: "${toLabel(field.key)} is required" })`;
+  }
+
+  return base;
+};
+
+// Optional columns are nullable, so their rules accept null as well as a missing value
+const optionalRule = (field) => (field.required ? `${zodBase(field)}.optional()` : `${zodBase(field)}.nullable().optional()`);
+
+// Line for the create schema: optional fields accept missing and null values
+const zodCreateLine = (field) => `${field.key}: ${field.required ? zodBase(field) : optionalRule(field)},`;
+
+// Line for the update schema: every field may be omitted, and optional ones cleared with null
+const zodUpdateLine = (field) => `${field.key}: ${optionalRule(field)},`;
+
+// Text and JSON columns are not offered as list filters
+const isFilterable = (field) => Boolean(field.references) || FIELD_TYPES[field.type].query !== null;
+
+// Keyset pagination needs non-null, indexed sort columns; foreign keys make poor sort keys
+const isSortable = (field) => field.required && (field.unique || field.index) && !field.references;
+
+// Line for the list query schema: every filter is optional
+const zodQueryLine = (field) => `${field.key}: ${field.references ? referenceRule(field) : FIELD_TYPES[field.type].query}.optional(),`;
+
+const columnLine = (field) => {
+  let line = `table.${FIELD_TYPES[field.type].column}('${field.name}')`;
+
+  if (field.unique) {
+    line += '.unique()';
+  } else if (field.index) {
+    line += '.index()';
+  }
+
+  if (field.required) {
+    line += '.notNullable()';
+  }
+
+  if (field.defaultValue !== undefined) {
+    line += `.defaultTo(${field.defaultValue})`;
+  }
+
+  if (field.references) {
+    line += `.references('id').inTable('${field.references.table}')`;
+  }
+
+  return `${line};`;
+};
+
+// Typed fixtures hold Date objects where the schemas and row types expect them;
+// foreign keys point at the id of the related entity's record fixture, except
+// references to the entity itself, which are left empty
+const sampleValue = (field, index, typed) => {
+  if (field.references) {
+    return field.references.self ? 'null' : `'${field.references.testId}'`;
+  }
+
+  const value = SAMPLE_VALUES[field.type][index];
+  return typed && FIELD_TYPES[field.type].ts === 'Date' ? `new Date(${value})` : value;
+};
+
+const sampleLine = (field, property = 'key', { typed = false } = {}) => `${field[property]}: ${sampleValue(field, 0, typed)},`;
+
+const updatedSampleLine = (field, { typed = false } = {}) => `${field.key}: ${sampleValue(field, 1, typed)},`;
+
+// Untyped fixtures hold dates as the strings a JSON body carries
+const indexedSampleLine = (field, { typed = false } = {}) => {
+  const value = INDEXED_SAMPLE_VALUES[field.type];
+  if (typed || FIELD_TYPES[field.type].ts !== 'Date') {
+    return `${field.key}: ${value},`;
+  }
+  return `${field.key}: ${value}.toISOString()${field.type === 'date' ? '.slice(0, 10)' : ''},`;
+};
+
+// snake_case record -> camelCase DTO
+const dtoLine = (field, recordName) => `${field.key}: ${recordName}.${field.name},`;
+
+// camelCase input -> snake_case record
+const recordLine = (field, dataName) => `${field.name}: ${dataName}.${field.key},`;
+
+// TypeScript property of a row (snake_case) or DTO (camelCase); optional columns are nullable
+const typeLine = (field, property = 'key') => `${field[property]}: ${FIELD_TYPES[field.type].ts}${field.required ? '' : ' | null'};`;
+
+module.exports = {
+  FIELD_TYPES,
+  parseFields,
+  referenceField,
+  zodCreateLine,
+  zodUpdateLine,
+  zodQueryLine,
+  isFilterable,
+  isSortable,
+  columnLine,
+  sampleLine,
+  updatedSampleLine,
+  indexedSampleLine,
+  dtoLine,
+  recordLine,
+  typeLine,
+};
@@ -0,0 +1,131 @@
+/**
+ * ID prefix registry shared by the scaffolding scripts. Every entity's IDs start with
+ * its prefix (sub_01j9z3k8f4q7r2m6n5p0t8v1wx), listed per entity in the project's
+ * src/utils/id-prefixes.js, which the generated id-generator reads to parse IDs.
+ * create-entity.js picks a prefix no other entity uses and adds it there; the other
+ * scripts look prefixes up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { singularize, toSnakeCase, toIdPrefix } = require('./inflection');
+const { sourceFile } = require('./target');
+
+const REGISTRY_FILE = path.join('src', 'utils', 'id-prefixes.js');
+const PREFIX = /^[a-z][a-z0-9]{0,7}$/;
+const MAX_PREFIX_LENGTH = 8;
+
+// `subscribers: 'sub',` or `'job-categories': 'jc',`
+const ENTRY = /^\s*'?([\w-]+)'?:\s*'([a-z0-9]+)',?\s*$/gm;
+
+const registryPath = (target) => sourceFile(target, REGISTRY_FILE);
+
+// Entities generated before the registry existed name their prefix in generateShortUID()
+const scanEntityPrefixes = () => {
+  const entitiesDir = path.join(process.cwd(), 'src', 'entities');
+  if (!fs.existsSync(entitiesDir)) {
+    return {};
+  }
+
+  return Object.fromEntries(fs.readdirSync(entitiesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const dir = path.join(entitiesDir, entry.name);
+      const match = fs.readdirSync(dir)
+        .filter((file) => /\.[jt]s$/.test(file) && !file.includes('.test.'))
+        .map((file) => fs.readFileSync(path.join(dir, file), 'utf8').match(/generateShortUID\('([a-z0-9]+)'\)/))
+        .find(Boolean);
+      return [entry.name, match ? match[1] : null];
+    })
+    .filter(([, prefix]) => prefix));
+};
+
+// Prefix per entity name: the registry's entries, then those found in unlisted entities
+const readIdPrefixes = (target) => {
+  const file = path.join(process.cwd(), registryPath(target));
+  const source = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const registered = Object.fromEntries([...source.matchAll(ENTRY)].map(([, entity, prefix]) => [entity, prefix]));
+  const unlisted = Object.entries(scanEntityPrefixes()).filter(([entity]) => !registered[entity]);
+
+  return { ...registered, ...Object.fromEntries(unlisted) };
+};
+
+// Prefixes to try in order: the default (subscribers → sub, job-categories → jc), longer
+// ones from the last word (subs, subsc, ...; jca, jcat, ...), then numbered ones (sub2, ...)
+const prefixCandidates = (entityName) => {
+  const words = singularize(toSnakeCase(entityName)).split('_');
+  const base = toIdPrefix(entityName);
+  const lastWord = words[words.length - 1];
+  const stem = words.slice(0, -1).map((word) => word.charAt(0)).join('');
+
+  const longer = Array.from({ length: MAX_PREFIX_LENGTH }, (_, index) => `${stem}${lastWord.slice(0, index + 1)}`)
+    .filter((candidate) => candidate.length > base.length);
+  const numbered = Array.from({ length: 98 }, (_, index) => `${base.slice(0, MAX_PREFIX_LENGTH - 2)}${index + 2}`);
+
+  return [base, ...longer, ...numbered].filter((candidate) => PREFIX.test(candidate));
+};
+
+// Prefix for an entity: its registered one, the requested one (--id-prefix), or the first
+// candidate no other entity uses; throws when the requested prefix cannot be used
+const assignIdPrefix = (entityName, prefixes, requested) => {
+  const current = prefixes[entityName];
+  const ownerOf = (prefix) => Object.keys(prefixes).find((entity) => entity !== entityName && prefixes[entity] === prefix);
+
+  if (requested) {
+    if (!PREFIX.test(requested)) {
+      throw new Error(`Invalid ID prefix "${requested}". Use up to ${MAX_PREFIX_LENGTH} lowercase letters and digits, starting with a letter`);
+    }
+    if (current && current !== requested) {
+      throw new Error(`Entity "${entityName}" already uses the ID prefix "${current}"; existing IDs would no longer parse. Change it in ${REGISTRY_FILE} by hand if no records use it yet`);
+    }
+    if (ownerOf(requested)) {
+      throw new Error(`ID prefix "${requested}" is already used by "${ownerOf(requested)}"`);
+    }
+    return requested;
+  }
+
+  if (current) {
+    return current;
+  }
+
+  const prefix = prefixCandidates(entityName).find((candidate) => !ownerOf(candidate));
+  if (!prefix) {
+    throw new Error(`No free ID prefix for "${entityName}"; choose one with --id-prefix=<prefix>`);
+  }
+  return prefix;
+};
+
+// Prefix of an existing entity, or the default for one the registry does not list yet
+const idPrefixFor = (entityName, target) => readIdPrefixes(target)[entityName] || toIdPrefix(entityName);
+
+// Well-formed IDs the generated tests use: a record of the fixtures, and one that is never stored
+const idNames = (idPrefix) => ({
+  idPrefix,
+  testId: `${idPrefix}_0000000000000000000000test`,
+  missingId: `${idPrefix}_00000000000000000000absent`,
+});
+
+const registryKey = (entityName) => (/^[a-zA-Z_]\w*$/.test(entityName) ? entityName : `'${entityName}'`);
+
+// Source of src/utils/id-prefixes.js listing `prefixes`
+const registrySource = (prefixes, target) => {
+  const entries = Object.entries(prefixes).map(([entity, prefix]) => `  ${registryKey(entity)}: '${prefix}',\n`).join('');
+  const declaration = `const ID_PREFIXES${target.ts ? ': Record<string, string>' : ''} = ${entries ? `{\n${entries}}` : '{}'};`;
+
+  return `// Prefix of each entity's IDs, added by scripts/create-entity.js. The prefix is part of
+// every stored ID: never change or reuse one once records exist.
+${declaration}
+
+${target.esm ? 'export { ID_PREFIXES };' : 'module.exports = { ID_PREFIXES };'}
+`;
+};
+
+module.exports = {
+  REGISTRY_FILE,
+  registryPath,
+  readIdPrefixes,
+  assignIdPrefix,
+  idPrefixFor,
+  idNames,
+  registrySource,
+};
@@ -0,0 +1,170 @@
+/**
+ * Name inflection shared by the scaffolding scripts: case conversion, singular and
+ * plural forms, and every name derived from an entity name such as `subscribers`,
+ * `job-categories`, or `JobCategory`
+ */
+
+const IDENTIFIER = /^[a-z][a-z0-9_]*$/;
+
+// Words whose singular and plural are the same
+const UNCOUNTABLE = [
+  'data', 'equipment', 'feedback', 'information', 'media', 'metadata',
+  'money', 'news', 'series', 'species', 'software', 'staff',
+];
+
+const IRREGULAR = {
+  child: 'children',
+  cookie: 'cookies',
+  foot: 'feet',
+  goose: 'geese',
+  half: 'halves',
+  knife: 'knives',
+  leaf: 'leaves',
+  life: 'lives',
+  man: 'men',
+  mouse: 'mice',
+  movie: 'movies',
+  person: 'people',
+  shelf: 'shelves',
+  tooth: 'teeth',
+  wife: 'wives',
+  woman: 'women',
+};
+
+const IRREGULAR_SINGULAR = Object.fromEntries(Object.entries(IRREGULAR).map(([one, many]) => [many, one]));
+
+// [pattern, replacement], first match wins
+const PLURAL_RULES = [
+  [/(quiz)$/, '$1zes'],
+  [/(matr|vert|ind)(?:ix|ex)$/, '$1ices'],
+  [/(analy|ba|diagno|parenthe|progno|synop|the)sis$/, '$1ses'],
+  // wolf, calf, shelf, scarf; not golf
+  [/([^g][aeo]l|^[aeo]l|ar)f$/, '$1ves'],
+  [/(her|potat|tomat|ech)o$/, '$1oes'],
+  [/(x|ch|ss|sh|zz|s)$/, '$1es'],
+  [/([^aeiouy])y$/, '$1ies'],
+  [/$/, 's'],
+];
+
+const SINGULAR_RULES = [
+  [/(quiz)zes$/, '$1'],
+  [/(matr)ices$/, '$1ix'],
+  [/(vert|ind)ices$/, '$1ex'],
+  // analyses, theses; not databases or knowledge_bases
+  [/(analy|diagno|parenthe|progno|synop|the)ses$/, '$1sis'],
+  // wolves, calves, shelves, scarves; not valves, curves, or archives
+  [/([^gv][aeo]l|^[aeo]l|ar)ves$/, '$1f'],
+  [/(her|potat|tomat|ech)oes$/, '$1o'],
+  [/^(alias|bonus|bus|campus|census|circus|corpus|status|surplus|syllabus|virus)es$/, '$1'],
+  // caches, headaches, niches; not beaches or coaches
+  [/([^aeiouy]a|ni)ches$/, '$1che'],
+  [/(x|ch|ss|sh|zz)es$/, '$1'],
+  [/([^aeiouy])ies$/, '$1y'],
+  // Plurals that look like a singular in -us or -is
+  [/(menu|emu|gnu|guru|haiku|tofu|api|emoji|kiwi|ski|taxi|wiki)s$/, '$1'],
+  [/(ss|us|is)$/, '$1'],
+  [/s$/, ''],
+  [/$/, ''],
+];
+
+const inflect = (word, irregular, rules) => {
+  if (UNCOUNTABLE.includes(word)) {
+    return word;
+  }
+  if (irregular[word]) {
+    return irregular[word];
+  }
+
+  const [pattern, replacement] = rules.find(([rule]) => rule.test(word));
+  return word.replace(pattern, replacement);
+};
+
+// Only the last word of a multi-word name is inflected: job_categories → job_category
+const lastWord = (name, transform) => {
+  const words = toSnakeCase(name).split('_');
+  return [...words.slice(0, -1), transform(words[words.length - 1])].join('_');
+};
+
+const toSnakeCase = (name) => name
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+  .replace(/[-\s]+/g, '_')
+  .toLowerCase();
+
+const toCamelCase = (name) => toSnakeCase(name)
+  .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+const toPascalCase = (name) => {
+  const camel = toCamelCase(name);
+  return camel.charAt(0).toUpperCase() + camel.slice(1);
+};
+
+const singularize = (name) => lastWord(name, (word) => inflect(word, IRREGULAR_SINGULAR, SINGULAR_RULES));
+
+// Already plural names stay as they are: subscribers → subscribers
+const pluralize = (name) => lastWord(name, (word) => (inflect(word, IRREGULAR_SINGULAR, SINGULAR_RULES) === word
+  ? inflect(word, IRREGULAR, PLURAL_RULES)
+  : word));
+
+// Table names are plural snake_case: job-categories, JobCategory → job_categories
+const toTableName = (name) => pluralize(name);
+
+// Default ID prefix: the first three letters of a single word (subscribers → sub), the
+// initials of a multi-word name (job-categories → jc); ./id-prefixes.js keeps them unique
+const toIdPrefix = (name) => {
+  const words = singularize(name).split('_');
+  return words.length === 1
+    ? words[0].slice(0, 3)
+    : words.map((word) => word.charAt(0)).join('').slice(0, 3);
+};
+
+// Every name the generators derive from an entity name; throws when it cannot
+// produce valid identifiers
+const entityNames = (entityName) => {
+  const snake = toSnakeCase(entityName);
+  if (!IDENTIFIER.test(snake) || snake.includes('__') || snake.endsWith('_')) {
+    throw new Error(`Invalid entity name "${entityName}". Use letters, digits, and single hyphens or underscores, starting with a letter`);
+  }
+
+  const singular = singularize(snake);
+  const plural = pluralize(snake);
+
+  return {
+    camelName: toCamelCase(snake), // module variables: jobCategoriesService
+    singularName: toCamelCase(singular), // one record: jobCategory
+    singularPascal: toPascalCase(singular), // createJobCategory
+    pluralPascal: toPascalCase(plural), // getAllJobCategories
+    label: singular.charAt(0).toUpperCase() + singular.slice(1).replace(/_/g, ' '), // 'Job category not found'
+    noun: singular.replace(/_/g, ' '), // 'Creating job category'
+    pluralNoun: plural.replace(/_/g, ' '), // 'Fetching job categories'
+    tableName: toTableName(snake),
+  };
+};
+
+// TypeScript type names for an entity; `names` comes from entityNames()
+const typeNames = ({ singularPascal, pluralPascal }) => ({
+  row: `${singularPascal}Row`, // a table row as Knex returns it
+  record: `${singularPascal}Record`, // columns the services write
+  createInput: `Create${singularPascal}Input`,
+  updateInput: `Update${singularPascal}Input`,
+  idParams: `${singularPascal}IdParams`,
+  listQuery: `List${pluralPascal}Query`,
+  listDeletedQuery: `ListDeleted${pluralPascal}Query`,
+  bulkCreateInput: `BulkCreate${pluralPascal}Input`,
+  bulkUpdateInput: `BulkUpdate${pluralPascal}Input`,
+  bulkDeleteInput: `BulkDelete${pluralPascal}Input`,
+  dto: `${singularPascal}Dto`,
+  deletedDto: `Deleted${singularPascal}Dto`,
+});
+
+module.exports = {
+  toSnakeCase,
+  toCamelCase,
+  toPascalCase,
+  singularize,
+  pluralize,
+  toTableName,
+  toIdPrefix,
+  entityNames,
+  typeNames,
+};
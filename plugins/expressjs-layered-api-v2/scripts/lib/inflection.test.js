@@ -0,0 +1,104 @@
+/**
+ * Tests for the name inflection of the scaffolding scripts
+ * Run: node --test scripts/lib
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { singularize, pluralize, entityNames } = require('./inflection');
+
+// [singular, plural]
+const WORDS = [
+  ['subscriber', 'subscribers'],
+  ['category', 'categories'],
+  ['status', 'statuses'],
+  ['box', 'boxes'],
+  ['quiz', 'quizzes'],
+  ['analysis', 'analyses'],
+  ['hero', 'heroes'],
+  ['person', 'people'],
+  ['news', 'news'],
+  ['matrix', 'matrices'],
+  ['vertex', 'vertices'],
+  ['index', 'indices'],
+  ['wolf', 'wolves'],
+  ['calf', 'calves'],
+  ['shelf', 'shelves'],
+  ['scarf', 'scarves'],
+  ['knife', 'knives'],
+  ['golf', 'golfs'],
+  ['roof', 'roofs'],
+  ['valve', 'valves'],
+  ['curve', 'curves'],
+  ['archive', 'archives'],
+  ['database', 'databases'],
+  ['base', 'bases'],
+  ['house', 'houses'],
+  ['cache', 'caches'],
+  ['headache', 'headaches'],
+  ['niche', 'niches'],
+  ['beach', 'beaches'],
+  ['coach', 'coaches'],
+  ['touch', 'touches'],
+  ['bonus', 'bonuses'],
+  ['bus', 'buses'],
+  ['abuse', 'abuses'],
+  ['menu', 'menus'],
+  ['api', 'apis'],
+  ['taxi', 'taxis'],
+];
+
+describe('singularize', () => {
+  WORDS.forEach(([singular, plural]) => {
+    it(`should turn ${plural} into ${singular}`, () => {
+      assert.strictEqual(singularize(plural), singular);
+    });
+  });
+
+  it('should keep singular names', () => {
+    WORDS.forEach(([singular]) => assert.strictEqual(singularize(singular), singular));
+  });
+
+  it('should inflect only the last word of a multi-word name', () => {
+    assert.strictEqual(singularize('job-categories'), 'job_category');
+    assert.strictEqual(singularize('knowledge-bases'), 'knowledge_base');
+  });
+});
+
+describe('pluralize', () => {
+  WORDS.forEach(([singular, plural]) => {
+    it(`should turn ${singular} into ${plural}`, () => {
+      assert.strictEqual(pluralize(singular), plural);
+    });
+  });
+
+  it('should keep plural names', () => {
+    WORDS.forEach(([, plural]) => assert.strictEqual(pluralize(plural), plural));
+  });
+});
+
+describe('entityNames', () => {
+  it('should derive every name from a kebab-case plural', () => {
+    assert.deepStrictEqual(entityNames('job-categories'), {
+      camelName: 'jobCategories',
+      singularName: 'jobCategory',
+      singularPascal: 'JobCategory',
+      pluralPascal: 'JobCategories',
+      label: 'Job category',
+      noun: 'job category',
+      pluralNoun: 'job categories',
+      tableName: 'job_categories',
+    });
+  });
+
+  it('should keep plural names that look singular', () => {
+    assert.strictEqual(entityNames('menus').tableName, 'menus');
+    assert.strictEqual(entityNames('menus').pluralPascal, 'Menus');
+    assert.strictEqual(entityNames('apis').tableName, 'apis');
+    assert.strictEqual(entityNames('apis').singularPascal, 'Api');
+  });
+
+  it('should reject names that make no identifier', () => {
+    assert.throws(() => entityNames('1-jobs'), /Invalid entity name/);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Merges regenerated code into a customized project file by adding only the
+ * top-level declarations (functions, constants, classes, types, requires, imports)
+ * it is missing, and the names missing from an import of a module the file already
+ * imports. Existing declarations are never changed otherwise; the caller shows a diff
+ * for the rest. CommonJS, ES module, and TypeScript files are handled alike:
+ * `module.exports = { ... };` and `export { ... };` are both export lists.
+ */
+
+const DECLARATION = /^(?:export\s+)?(?:const|let|var|class|interface|type|enum|(?:async\s+)?function)\s+([A-Za-z_$][\w$]*)/;
+const DESTRUCTURED = /^(?:const|let|var)\s+\{([^}]*)\}\s*=/;
+const IMPORT = /^import\s+(?:type\s+)?(.+?)\s+from\s/;
+const IMPORT_LINE = /^\S.*\brequire\(|^import\s|^\} from\s/;
+const CLOSER = /^[}\])`]/;
+const EXPORTS_OBJECT = /^(module\.exports =|export) \{([^}]*)\};/m;
+const EXPORTS_START = /^(?:module\.exports\b|export (?:default\b|\{))/m;
+// `import { a, b } from 'x';`, `import type { A } from 'x';`, `const { a, b } = require('x');`
+const NAMED_IMPORT = /^(import\s+(?:type\s+)?\{|const\s+\{)([^}]*)(\}\s*(?:from\s+|=\s*require\()(['"][^'"]+['"]).*)$/;
+
+// Names an import clause binds: `x`, `* as x`, `{ a, b as c, type T }`
+const importedNames = (clause) => {
+  const defaultName = clause.match(/^([A-Za-z_$][\w$]*)/);
+  const namespace = clause.match(/\*\s+as\s+([A-Za-z_$][\w$]*)/);
+  const named = clause.match(/\{([^}]*)\}/);
+
+  return [
+    ...(defaultName ? [defaultName[1]] : []),
+    ...(namespace ? [namespace[1]] : []),
+    ...(named ? named[1].split(',').map((name) => name.replace(/^\s*type\s+/, '').split(/\s+as\s+/).pop().trim()) : []),
+  ].filter(Boolean);
+};
+
+// Names a top-level line binds: `const name = ...`, `const { a, b: c } = ...`, or an import
+const boundNames = (line) => {
+  const imported = line.match(IMPORT);
+  if (imported) {
+    return importedNames(imported[1]);
+  }
+
+  const destructured = line.match(DESTRUCTURED);
+  if (destructured) {
+    return destructured[1].split(',')
+      .map((name) => name.split(':').pop().trim())
+      .filter(Boolean);
+  }
+
+  const declaration = line.match(DECLARATION);
+  return declaration ? [declaration[1]] : [];
+};
+
+const declaredNames = (source) => new Set(source.split('\n').flatMap(boundNames));
+
+// Splits generated code into top-level statements. A statement starts at a
+// non-indented line and keeps the comment lines directly above it; generated
+// code is consistently indented, so no parsing is needed.
+const topLevelBlocks = (source) => {
+  const blocks = [];
+  let comments = [];
+  let current = null;
+  let inBlockComment = false;
+
+  source.split('\n').forEach((line) => {
+    const startsBlockComment = !inBlockComment && line.startsWith('/*');
+
+    if (inBlockComment || startsBlockComment) {
+      comments.push(line);
+      inBlockComment = !line.includes('*/');
+      return;
+    }
+
+    if (line.startsWith('//')) {
+      comments.push(line);
+      return;
+    }
+
+    if (line === '' || /^\s/.test(line) || CLOSER.test(line)) {
+      if (current) {
+        current.lines.push(...comments, line);
+      }
+      comments = [];
+      return;
+    }
+
+    current = {
+      names: boundNames(line),
+      lines: [...comments, line],
+    };
+    comments = [];
+    blocks.push(current);
+  });
+
+  return blocks.map(({ names, lines }) => ({
+    names,
+    text: lines.join('\n').replace(/\n+$/, ''),
+  }));
+};
+
+const exportedNames = (source) => {
+  const match = source.match(EXPORTS_OBJECT);
+  if (!match) {
+    return [];
+  }
+
+  return match[2].split(',')
+    .map((entry) => entry.split(':')[0].trim())
+    .filter(Boolean);
+};
+
+// Adds names to `module.exports = { ... };` or `export { ... };`, multi-line or single-line
+const addExports = (source, names) => {
+  if (names.length === 0) {
+    return source;
+  }
+
+  return source.replace(EXPORTS_OBJECT, (match, opening, entries) => {
+    if (!match.includes('\n')) {
+      const existing = entries.split(',').map((entry) => entry.trim()).filter(Boolean);
+      return `${opening} { ${[...existing, ...names].join(', ')} };`;
+    }
+
+    const body = entries.replace(/\s*$/, '');
+    const separator = body.trim() === '' || body.trim().endsWith(',') ? '' : ',';
+    return `${opening} {${body}${separator}\n${names.map((name) => `  ${name},`).join('\n')}\n};`;
+  });
+};
+
+const insertAfterLastImport = (source, text) => {
+  const lines = source.split('\n');
+  const lastImport = lines.reduce((last, line, index) => (IMPORT_LINE.test(line) ? index : last), -1);
+
+  lines.splice(lastImport + 1, 0, text);
+  return lines.join('\n');
+};
+
+const insertBeforeExports = (source, text) => {
+  const exportsIndex = source.search(EXPORTS_START);
+
+  if (exportsIndex === -1) {
+    return `${source.replace(/\n*$/, '')}\n\n${text}\n`;
+  }
+
+  return `${source.slice(0, exportsIndex)}${text}\n\n${source.slice(exportsIndex)}`;
+};
+
+const namedImportKey = (match) => `${match[1].replace(/\s+/g, ' ')} ${match[4]}`;
+
+// Adds the names a generated named import is missing to the project's import of
+// the same module in the same form, e.g. a new type from the validators; returns
+// null when there is no such import
+const extendImport = (source, line, missingNames) => {
+  const generated = line.match(NAMED_IMPORT);
+  if (!generated) {
+    return null;
+  }
+
+  const lines = source.split('\n');
+  const index = lines.findIndex((candidate) => {
+    const match = candidate.match(NAMED_IMPORT);
+    return match && namedImportKey(match) === namedImportKey(generated);
+  });
+  if (index === -1) {
+    return null;
+  }
+
+  const entries = (list) => list.split(',').map((entry) => entry.trim()).filter(Boolean);
+  const [, opening, current, closing] = lines[index].match(NAMED_IMPORT);
+  const added = entries(generated[2])
+    .filter((entry) => missingNames.includes(entry.replace(/^type\s+/, '').split(/\s+as\s+|:/).pop().trim()));
+
+  lines[index] = `${opening} ${[...entries(current), ...added].join(', ')} ${closing}`;
+  return lines.join('\n');
+};
+
+// Returns the merged source and the names that were added
+const mergeSource = (current, generated) => {
+  const existing = declaredNames(current);
+  const blocks = topLevelBlocks(generated)
+    .map((block) => ({ ...block, missing: block.names.filter((name) => !existing.has(name)) }))
+    .filter((block) => block.missing.length > 0);
+
+  if (blocks.length === 0) {
+    return { content: current, added: [] };
+  }
+
+  // A statement is added when none of its names exist. A partly matching import
+  // extends the project's import of the same module; anything else partly
+  // matching is left to the diff instead of redeclaring a name
+  const added = [];
+  const merged = blocks.reduce((source, block) => {
+    const isImport = !block.text.includes('\n') && IMPORT_LINE.test(block.text);
+
+    if (block.missing.length < block.names.length) {
+      const extended = isImport ? extendImport(source, block.text, block.missing) : null;
+      if (!extended) {
+        return source;
+      }
+      added.push(...block.missing);
+      return extended;
+    }
+
+    added.push(...block.names);
+    return isImport ? insertAfterLastImport(source, block.text) : insertBeforeExports(source, block.text);
+  }, current);
+
+  if (added.length === 0) {
+    return { content: current, added: [] };
+  }
+
+  const currentExports = exportedNames(merged);
+  const newExports = exportedNames(generated)
+    .filter((name) => added.includes(name) && !currentExports.includes(name));
+
+  return {
+    content: addExports(merged, newExports),
+    added,
+  };
+};
+
+module.exports = { mergeSource };
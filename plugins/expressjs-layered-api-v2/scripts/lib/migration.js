@@ -0,0 +1,207 @@
+/**
+ * Knex migration rendering shared by the scaffolding scripts. Every renderer takes
+ * the output target (see ./target.js): CommonJS `exports.up`, ES module
+ * `export function up`, or TypeScript with a typed `knex` argument.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { columnLine } = require('./fields');
+const { TARGETS } = require('./target');
+
+const MIGRATIONS_DIR = path.join('src', 'database', 'migrations');
+
+const VERSION_COLUMN_LINE = "table.integer('version').defaultTo(1).notNullable();";
+
+// Same YYYYMMDDHHMMSS prefix that `knex migrate:make` uses
+const migrationTimestamp = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return [
+    date.getUTCFullYear(),
+    pad(date.getUTCMonth() + 1),
+    pad(date.getUTCDate()),
+    pad(date.getUTCHours()),
+    pad(date.getUTCMinutes()),
+    pad(date.getUTCSeconds()),
+  ].join('');
+};
+
+// Now, or one second past the project's newest migration when that is later. Knex runs
+// migrations in file name order, so a migration created in the same second as the one
+// before it (a parent table, then its child) still runs after it.
+const nextMigrationDate = (now = new Date()) => {
+  const migrationsDir = path.join(process.cwd(), MIGRATIONS_DIR);
+  const latest = fs.existsSync(migrationsDir)
+    ? fs.readdirSync(migrationsDir).filter((name) => /^\d{14}_/.test(name)).sort().pop()
+    : undefined;
+
+  if (!latest) {
+    return now;
+  }
+
+  const [year, month, day, hours, minutes, seconds] = latest.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/).slice(1).map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds + 1));
+  return next > now ? next : now;
+};
+
+const migrationFileName = (name, target = TARGETS.cjs, date = nextMigrationDate()) => `${migrationTimestamp(date)}_${name}${target.ext}`;
+
+// One documented up() or down() function, e.g. migrationFunction(target, 'up', 'Create users table', body)
+const migrationFunction = (target, name, comment, body) => {
+  if (target.ts) {
+    return `/**
+ * ${comment}
+ */
+export function ${name}(knex: Knex) {
+${body}
+}`;
+  }
+
+  const doc = `/**
+ * ${comment}
+ * @param {import('knex').Knex} knex
+ */`;
+
+  return target.esm
+    ? `${doc}
+export function ${name}(knex) {
+${body}
+}`
+    : `${doc}
+exports.${name} = function(knex) {
+${body}
+};`;
+};
+
+const migrationFile = (target, up, down) => `${target.ts ? "import type { Knex } from 'knex';\n\n" : ''}${up}
+
+${down}
+`;
+
+const indent = (lines, spaces) => lines.map((line) => `${' '.repeat(spaces)}${line}`).join('\n');
+
+const fieldSection = (comment, fields) => {
+  if (fields.length === 0) {
+    return '';
+  }
+
+  return `
+    // ${comment}
+${indent(fields.map(columnLine), 4)}
+`;
+};
+
+// manyToMany relations (see ./relations.js) add their join tables to the same migration
+const joinTableBuilder = (tableName, { joinTable, ownKey, relatedKey, related }) => `
+    .createTable('${joinTable}', (table) => {
+      // A link between ${tableName} and ${related.tableName}, removed with either row
+      table.string('${ownKey}').notNullable().references('id').inTable('${tableName}').onDelete('CASCADE');
+      table.string('${relatedKey}').notNullable().references('id').inTable('${related.tableName}').onDelete('CASCADE');
+      table.primary(['${ownKey}', '${relatedKey}']);
+      table.index('${relatedKey}');
+      table.timestamp('created_at').defaultTo(knex.fn.now()).notNullable();
+    })`;
+
+const createTableMigration = (tableName, fields, target = TARGETS.cjs, joinTables = []) => {
+  const columns = `
+    // Primary key
+    table.string('id').primary();
+${fieldSection('Required fields', fields.filter((field) => field.required))}${fieldSection('Optional fields', fields.filter((field) => !field.required))}
+    // Soft delete flag and deletion time
+    table.boolean('is_deleted').defaultTo(false).notNullable();
+    table.timestamp('deleted_at');
+
+    // Optimistic concurrency: every update increments it (sent as the ETag)
+    ${VERSION_COLUMN_LINE}
+
+    // Timestamps (automatically adds created_at and updated_at)
+    table.timestamps(true, true);`;
+
+  if (joinTables.length === 0) {
+    return migrationFile(
+      target,
+      migrationFunction(target, 'up', `Create ${tableName} table`, `  return knex.schema.createTable('${tableName}', (table) => {${columns}
+  });`),
+      migrationFunction(target, 'down', `Drop ${tableName} table`, `  return knex.schema.dropTable('${tableName}');`)
+    );
+  }
+
+  const joinTableNames = joinTables.map((joinTable) => joinTable.joinTable);
+
+  return migrationFile(
+    target,
+    migrationFunction(target, 'up', `Create ${tableName} table and its join tables`, `  return knex.schema
+    .createTable('${tableName}', (table) => {${columns.replace(/\n(?=.)/g, '\n  ')}
+    })${joinTables.map((joinTable) => joinTableBuilder(tableName, joinTable)).join('')};`),
+    migrationFunction(target, 'down', `Drop ${tableName} table and its join tables`, `  return knex.schema
+${[...joinTableNames, tableName].map((name) => `    .dropTable('${name}')`).join('\n')};`)
+  );
+};
+
+const alterTable = (tableName, lines) => `  return knex.schema.alterTable('${tableName}', (table) => {
+${indent(lines, 4)}
+  });`;
+
+const alterTableMigration = ({ upComment, downComment, tableName, upLines, downLines }, target) => migrationFile(
+  target,
+  migrationFunction(target, 'up', upComment, alterTable(tableName, upLines)),
+  migrationFunction(target, 'down', downComment, alterTable(tableName, downLines))
+);
+
+const columnList = (fields) => fields.map((field) => field.name).join(', ');
+
+const dropColumnLine = (field) => `table.dropColumn('${field.name}');`;
+
+const addColumnsMigration = (tableName, fields, target = TARGETS.cjs) => alterTableMigration({
+  upComment: `Add ${columnList(fields)} to ${tableName}`,
+  downComment: `Remove ${columnList(fields)} from ${tableName}`,
+  tableName,
+  upLines: fields.map(columnLine),
+  downLines: fields.map(dropColumnLine),
+}, target);
+
+// down() recreates the columns from their spec; the dropped data is not restored
+const dropColumnsMigration = (tableName, fields, target = TARGETS.cjs) => alterTableMigration({
+  upComment: `Remove ${columnList(fields)} from ${tableName}`,
+  downComment: `Restore ${columnList(fields)} on ${tableName} (data is not restored)`,
+  tableName,
+  upLines: fields.map(dropColumnLine),
+  downLines: fields.map(columnLine),
+}, target);
+
+const renameColumnMigration = (tableName, from, to, target = TARGETS.cjs) => alterTableMigration({
+  upComment: `Rename ${tableName}.${from} to ${to}`,
+  downComment: `Rename ${tableName}.${to} back to ${from}`,
+  tableName,
+  upLines: [`table.renameColumn('${from}', '${to}');`],
+  downLines: [`table.renameColumn('${to}', '${from}');`],
+}, target);
+
+// Existing rows start at version 1
+const addVersionMigration = (tableName, target = TARGETS.cjs) => alterTableMigration({
+  upComment: `Add version to ${tableName} for optimistic concurrency`,
+  downComment: `Remove version from ${tableName}`,
+  tableName,
+  upLines: [VERSION_COLUMN_LINE],
+  downLines: ["table.dropColumn('version');"],
+}, target);
+
+const emptyMigration = (name, target = TARGETS.cjs) => migrationFile(
+  target,
+  migrationFunction(target, 'up', name, `  // TODO: Apply the schema change
+  return Promise.resolve();`),
+  migrationFunction(target, 'down', `Revert ${name}`, `  // TODO: Revert the schema change
+  return Promise.resolve();`)
+);
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrationFileName,
+  createTableMigration,
+  addColumnsMigration,
+  dropColumnsMigration,
+  renameColumnMigration,
+  addVersionMigration,
+  emptyMigration,
+};
@@ -0,0 +1,56 @@
+/**
+ * Lookups for the shared project files (utilities, middleware, migrations) that
+ * generators copy from `examples/` into the target project. ES module and
+ * TypeScript projects get the copies in `examples/esm/` and `examples/ts/`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS_DIR } = require('./migration');
+const { TARGETS, sourceFile } = require('./target');
+
+const EXAMPLES_DIR = path.join(__dirname, '..', '..', 'examples');
+
+const examplePathFor = (examplePath, target) => (target.name === 'cjs'
+  ? examplePath
+  : path.join(target.name, sourceFile(target, examplePath)));
+
+const readExample = (examplePath, target = TARGETS.cjs) => fs.readFileSync(
+  path.join(EXAMPLES_DIR, examplePathFor(examplePath, target)),
+  'utf8'
+);
+
+// Project-relative path of the migration with this name (any timestamp, .js or .ts), or null
+const findProjectMigration = (migrationName) => {
+  const migrationsDir = path.join(process.cwd(), MIGRATIONS_DIR);
+  const pattern = new RegExp(`_${migrationName}\\.[jt]s$`);
+  const file = fs.existsSync(migrationsDir)
+    ? fs.readdirSync(migrationsDir).sort().find((name) => pattern.test(name))
+    : null;
+
+  return file ? path.join(MIGRATIONS_DIR, file) : null;
+};
+
+// Jest or Babel reads the first of these it finds, and refuses to start with two Jest configs
+const JEST_CONFIG_FILES = ['jest.config.js', 'jest.config.cjs', 'jest.config.mjs', 'jest.config.ts', 'jest.config.json'];
+const BABEL_CONFIG_FILES = ['babel.config.js', 'babel.config.cjs', 'babel.config.mjs', 'babel.config.json', '.babelrc', '.babelrc.js'];
+
+const hasProjectFile = (files) => files.some((file) => fs.existsSync(path.join(process.cwd(), file)));
+
+// Whether Jest can run the target's tests: ES modules need a Babel config, TypeScript a
+// Jest config with ts-jest (references/module-formats.md)
+const hasJestSetup = (target) => {
+  if (target.ts) {
+    return hasProjectFile(JEST_CONFIG_FILES);
+  }
+  return !target.esm || hasProjectFile(BABEL_CONFIG_FILES);
+};
+
+module.exports = {
+  JEST_CONFIG_FILES,
+  BABEL_CONFIG_FILES,
+  readExample,
+  findProjectMigration,
+  hasProjectFile,
+  hasJestSetup,
+};
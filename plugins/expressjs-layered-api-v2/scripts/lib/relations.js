@@ -0,0 +1,260 @@
+/**
+ * Relation spec parsing shared by create-entity.js and create-module.js
+ * Spec format: <name>:<kind>[?]:<entity>[:<option>]
+ *   category:belongsTo:job-categories   category_id column referencing job_categories.id
+ *   category:belongsTo?:job-categories  the same column, nullable
+ *   jobs:hasMany:jobs[:category_id]     jobs rows whose foreign key points here; the column
+ *                                       is read from the jobs migration unless given
+ *   tags:manyToMany:tags[:jobs_tags]    links through a join table, {table}_{name} by default
+ * The related entity must exist already, except when it is the entity itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  toSnakeCase,
+  toCamelCase,
+  toPascalCase,
+  singularize,
+  entityNames,
+  typeNames,
+} = require('./inflection');
+const { detectPattern } = require('./entity-patterns');
+const { findProjectMigration } = require('./project-files');
+const { idPrefixFor, idNames } = require('./id-prefixes');
+const { importPath } = require('./target');
+
+const RELATION_KINDS = ['belongsTo', 'hasMany', 'manyToMany'];
+
+const kindOf = (spec) => (spec.split(':')[1] || '').replace(/\?$/, '');
+
+// Relation specs share the positional arguments with field specs
+const isRelationSpec = (spec) => RELATION_KINDS.includes(kindOf(spec));
+
+const words = (name) => toSnakeCase(name).replace(/_/g, ' ');
+
+// Names of the related entity, and how its mappers and types are imported from
+// src/entities/{entity}; `self` relations use the entity's own files and ID prefix
+const relatedEntity = (relatedName, { entityName, names: ownNames, pattern, target }) => {
+  const self = relatedName === entityName;
+  const entityDir = path.join(process.cwd(), 'src', 'entities', relatedName);
+
+  if (!self && !fs.existsSync(entityDir)) {
+    throw new Error(`Entity "${relatedName}" does not exist; create it with scripts/create-entity.js before relating to it`);
+  }
+
+  const names = {
+    ...entityNames(relatedName),
+    ...idNames(self ? ownNames.idPrefix : idPrefixFor(relatedName, target)),
+  };
+  const relatedPattern = self ? pattern : detectPattern(entityDir);
+  const dir = self ? '.' : `../${relatedName}`;
+
+  return {
+    entityName: relatedName,
+    ...names,
+    self,
+    pattern: relatedPattern,
+    types: typeNames(names),
+    mappers: {
+      dto: relatedPattern === 'operations' ? `mapTo${names.singularPascal}` : `${names.singularName}Dto`,
+      file: importPath(target, relatedPattern === 'operations' ? `${dir}/mapTo` : `${dir}/${relatedName}.dtos`),
+    },
+    repositoryFile: importPath(target, `${dir}/${relatedName}.repository`),
+  };
+};
+
+// Column of the related table that references `tableName`, from its create-table migration
+const detectForeignKey = (relatedTable, tableName) => {
+  const migration = findProjectMigration(`create_${relatedTable}_table`);
+  if (!migration) {
+    return null;
+  }
+
+  const source = fs.readFileSync(path.join(process.cwd(), migration), 'utf8');
+  const match = source.match(new RegExp(`table\\.string\\('(\\w+)'\\)[^;]*\\.references\\('id'\\)\\.inTable\\('${tableName}'\\)`));
+  return match ? match[1] : null;
+};
+
+const parseRelation = (spec, { entityName, names, pattern, target }) => {
+  const [rawName, rawKind, relatedName, option] = spec.split(':');
+  const kind = kindOf(spec);
+
+  if (!rawName || !relatedName) {
+    throw new Error(`Invalid relation "${spec}". Expected <name>:${kind}${kind === 'belongsTo' ? '[?]' : ''}:<entity>`);
+  }
+  if (rawKind.endsWith('?') && kind !== 'belongsTo') {
+    throw new Error(`Relation "${rawName}": only belongsTo relations can be optional`);
+  }
+  if (option && kind === 'belongsTo') {
+    throw new Error(`Relation "${rawName}": belongsTo takes no option, the column is ${toSnakeCase(rawName)}_id`);
+  }
+
+  const name = toCamelCase(rawName);
+  const pascal = toPascalCase(rawName);
+  const related = relatedEntity(relatedName, { entityName, names, pattern, target });
+  const { singularPascal, singularName, tableName } = names;
+  const operations = pattern === 'operations';
+
+  const relation = {
+    kind,
+    name,
+    pascal,
+    relationNoun: words(rawName),
+    path: toSnakeCase(rawName).replace(/_/g, '-'),
+    related,
+  };
+
+  if (kind === 'belongsTo') {
+    if (related.self && !rawKind.endsWith('?')) {
+      throw new Error(`Relation "${rawName}": a belongsTo relation to the entity itself must be optional (${rawName}:belongsTo?:${relatedName})`);
+    }
+
+    const column = `${toSnakeCase(rawName)}_id`;
+
+    return {
+      ...relation,
+      column,
+      key: toCamelCase(column),
+      required: !rawKind.endsWith('?'),
+    };
+  }
+
+  const list = {
+    listOp: operations ? `find${pascal}` : `get${singularPascal}${pascal}`,
+    listQuery: `find${singularPascal}${pascal}`,
+    listHandler: `get${singularPascal}${pascal}`,
+    querySchema: `list${singularPascal}${pascal}QuerySchema`,
+    queryType: `List${singularPascal}${pascal}Query`,
+  };
+
+  if (kind === 'hasMany') {
+    return {
+      ...relation,
+      ...list,
+      foreignKey: option || detectForeignKey(related.tableName, tableName) || `${toSnakeCase(singularName)}_id`,
+    };
+  }
+
+  // manyToMany: one link per pair, removed with either row
+  const item = singularize(toSnakeCase(rawName));
+  const itemPascal = toPascalCase(item);
+  const ownKey = `${toSnakeCase(singularName)}_id`;
+  const relatedKey = `${item}_id`;
+
+  if (ownKey === relatedKey) {
+    throw new Error(`Relation "${rawName}": the join table would use ${ownKey} twice; rename the relation`);
+  }
+
+  return {
+    ...relation,
+    ...list,
+    joinTable: option || `${tableName}_${toSnakeCase(rawName)}`,
+    ownKey,
+    relatedKey,
+    itemName: toCamelCase(item),
+    itemPascal,
+    itemNoun: words(item),
+    itemLabel: itemPascal.charAt(0) + words(item).slice(1),
+    paramKey: toCamelCase(relatedKey),
+    addOp: operations ? `add${itemPascal}` : `add${singularPascal}${itemPascal}`,
+    removeOp: operations ? `remove${itemPascal}` : `remove${singularPascal}${itemPascal}`,
+    addQuery: `add${singularPascal}${itemPascal}`,
+    removeQuery: `remove${singularPascal}${itemPascal}`,
+    findItemQuery: `find${itemPascal}ById`,
+    addHandler: `add${singularPascal}${itemPascal}`,
+    removeHandler: `remove${singularPascal}${itemPascal}`,
+    paramsSchema: `${singularName}${itemPascal}ParamsSchema`,
+    paramsType: `${singularPascal}${itemPascal}Params`,
+  };
+};
+
+// Relations grouped by kind; `options` are { entityName, names, pattern, target }
+const parseRelations = (specs, options) => {
+  const relations = specs.map((spec) => parseRelation(spec, options));
+
+  const seen = new Set();
+  relations.forEach((relation) => {
+    if (seen.has(relation.name)) {
+      throw new Error(`Relation "${relation.name}" is declared more than once`);
+    }
+    seen.add(relation.name);
+  });
+
+  return Object.fromEntries(RELATION_KINDS.map((kind) => [kind, relations.filter((relation) => relation.kind === kind)]));
+};
+
+// Related entities other than the entity itself, once each, for imports
+const relatedEntities = (relations, kinds = RELATION_KINDS) => {
+  const byName = new Map();
+  kinds.forEach((kind) => relations[kind]
+    .filter((relation) => !relation.related.self)
+    .forEach((relation) => byName.set(relation.related.entityName, relation.related)));
+  return [...byName.values()];
+};
+
+// Names the entity's repository defines for a relation: the eager loading of a belongsTo
+// column, the nested list of hasMany, and the list, link, and lookup queries of manyToMany
+const relationQueries = (relation) => {
+  if (relation.kind === 'belongsTo') {
+    return ['loadRelated', relation.column];
+  }
+  if (relation.kind === 'hasMany') {
+    return [relation.listQuery];
+  }
+  return [relation.listQuery, relation.addQuery, relation.removeQuery, relation.findItemQuery];
+};
+
+// Relations the entity was generated without, judged by its repository source; create-module.js
+// would otherwise call operations that do not exist
+const missingRelations = (relations, repositorySource) => RELATION_KINDS
+  .flatMap((kind) => relations[kind])
+  .filter((relation) => relationQueries(relation).some((name) => !new RegExp(`\\b${name}\\b`).test(repositorySource)));
+
+// Queries the repository template generates per relation, in its JavaScript and TypeScript forms
+const BELONGS_TO_QUERY = /const (\w+)Rows = await findActiveByIds(?:<\w+>)?\('(\w+)', rows\.map\(\(row\) => row\.\w+\)/g;
+const HAS_MANY_QUERY = /\/\/ (\w+) rows whose (\w+) points at [^\n]*\nconst (\w+) = async/g;
+const MANY_TO_MANY_QUERY = /\/\/ (\w+) rows linked to the [^\n]* through (\w+)\nconst (\w+) = async/g;
+
+// Specs of the relations an entity's repository defines, as create-entity.js was given
+// them; `entities` are the project's entity names, to find the one behind a table
+const declaredRelationSpecs = (repositorySource, entityName, entities) => {
+  const entityOf = (tableName) => [entityName, ...entities]
+    .find((name) => entityNames(name).tableName === tableName) || tableName.replace(/_/g, '-');
+  // find{Entity}{Relation} → relation
+  const { singularPascal } = entityNames(entityName);
+  const nameOf = (listQuery) => toSnakeCase(listQuery.slice(`find${singularPascal}`.length)).replace(/_/g, '-');
+
+  const belongsTo = [...repositorySource.matchAll(BELONGS_TO_QUERY)].map(([, name, tableName]) => {
+    const related = entityOf(tableName);
+    // A relation to the entity itself is always optional
+    return `${toSnakeCase(name).replace(/_/g, '-')}:belongsTo${related === entityName ? '?' : ''}:${related}`;
+  });
+  const hasMany = [...repositorySource.matchAll(HAS_MANY_QUERY)]
+    .map(([, tableName, foreignKey, listQuery]) => `${nameOf(listQuery)}:hasMany:${entityOf(tableName)}:${foreignKey}`);
+  const manyToMany = [...repositorySource.matchAll(MANY_TO_MANY_QUERY)]
+    .map(([, tableName, joinTable, listQuery]) => `${nameOf(listQuery)}:manyToMany:${entityOf(tableName)}:${joinTable}`);
+
+  return [...belongsTo, ...hasMany, ...manyToMany];
+};
+
+// The relation back as a spec, for the create-module.js command printed by create-entity.js;
+// the routes tests need the foreign key of a hasMany relation, but not the join table
+const relationSpec = (relation) => [
+  relation.name,
+  relation.required === false ? `${relation.kind}?` : relation.kind,
+  relation.related.entityName,
+  relation.foreignKey,
+]
+  .filter(Boolean)
+  .join(':');
+
+module.exports = {
+  RELATION_KINDS,
+  isRelationSpec,
+  parseRelations,
+  relatedEntities,
+  missingRelations,
+  declaredRelationSpecs,
+  relationSpec,
+};
@@ -0,0 +1,86 @@
+/**
+ * Tests for reading an entity's relations back from its generated repository
+ * Run: node --test scripts/lib
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { declaredRelationSpecs } = require('./relations');
+
+const SCRIPTS_DIR = path.join(__dirname, '..');
+
+// Runs a scaffolding script in the project directory
+const run = (projectDir, script, args) => execFileSync('node', [path.join(SCRIPTS_DIR, script), ...args], {
+  cwd: projectDir,
+  encoding: 'utf8',
+});
+
+const readProjectFile = (projectDir, file) => fs.readFileSync(path.join(projectDir, file), 'utf8');
+
+// The entities of references/relations.md, in a fresh project per module format
+const createProject = (format) => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relations-'));
+  run(projectDir, 'create-entity.js', ['job-categories', 'name:string', format]);
+  run(projectDir, 'create-entity.js', ['tags', 'name:string', format]);
+  run(projectDir, 'create-entity.js', [
+    'jobs',
+    'title:string',
+    'category:belongsTo:job-categories',
+    'parent:belongsTo?:jobs',
+    'tags:manyToMany:tags',
+    format,
+  ]);
+  run(projectDir, 'create-entity.js', ['job-categories', 'name:string', 'jobs:hasMany:jobs', format, '--merge']);
+  return projectDir;
+};
+
+['--cjs', '--ts'].forEach((format) => {
+  describe(`declaredRelationSpecs (${format})`, () => {
+    const ext = format === '--ts' ? '.ts' : '.js';
+    let projectDir;
+
+    before(() => {
+      projectDir = createProject(format);
+    });
+
+    after(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    const specsOf = (entityName) => declaredRelationSpecs(
+      readProjectFile(projectDir, path.join('src', 'entities', entityName, `${entityName}.repository${ext}`)),
+      entityName,
+      fs.readdirSync(path.join(projectDir, 'src', 'entities'))
+    );
+
+    it('should read belongsTo and manyToMany relations', () => {
+      assert.deepStrictEqual(specsOf('jobs'), [
+        'category:belongsTo:job-categories',
+        'parent:belongsTo?:jobs',
+        'tags:manyToMany:tags:jobs_tags',
+      ]);
+    });
+
+    it('should read hasMany relations with their foreign key', () => {
+      assert.deepStrictEqual(specsOf('job-categories'), ['jobs:hasMany:jobs:category_id']);
+    });
+
+    it('should read no relations from an entity without any', () => {
+      assert.deepStrictEqual(specsOf('tags'), []);
+    });
+
+    it('should generate the routes of relations create-module.js is not given', () => {
+      const output = run(projectDir, 'create-module.js', ['jobs', 'tags:manyToMany:tags', format]);
+      const routes = readProjectFile(projectDir, path.join('src', 'routes', 'jobs', `jobs.routes${ext}`));
+      const routesTest = readProjectFile(projectDir, path.join('src', 'routes', 'jobs', `jobs.routes.test${ext}`));
+
+      assert.match(output, /Relations read from the entity: category:belongsTo:job-categories parent:belongsTo\?:jobs/);
+      assert.match(routes, /'\/:id\/tags'/);
+      assert.match(routesTest, /insertJobCategoryRecord\(db\)/);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Output targets shared by the scaffolding scripts:
+ *   --cjs  CommonJS JavaScript (require / module.exports)
+ *   --esm  ES module JavaScript (import / export, `.js` import specifiers)
+ *   --ts   TypeScript ES modules for `"module": "NodeNext"`
+ * Without a flag the target follows the project: tsconfig.json selects TypeScript,
+ * `"type": "module"` in package.json selects ESM, anything else CommonJS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TARGETS = {
+  cjs: { name: 'cjs', label: 'CommonJS', ext: '.js', esm: false, ts: false },
+  esm: { name: 'esm', label: 'ES modules', ext: '.js', esm: true, ts: false },
+  ts: { name: 'ts', label: 'TypeScript', ext: '.ts', esm: true, ts: true },
+};
+
+const detectTarget = (projectDir = process.cwd()) => {
+  if (fs.existsSync(path.join(projectDir, 'tsconfig.json'))) {
+    return TARGETS.ts;
+  }
+
+  const packageFile = path.join(projectDir, 'package.json');
+  const projectPackage = fs.existsSync(packageFile) ? JSON.parse(fs.readFileSync(packageFile, 'utf8')) : {};
+
+  return projectPackage.type === 'module' ? TARGETS.esm : TARGETS.cjs;
+};
+
+// Reads --cjs, --esm, or --ts; throws when more than one is given
+const parseTarget = (args) => {
+  const flags = Object.keys(TARGETS).filter((name) => args.includes(`--${name}`));
+
+  if (flags.length > 1) {
+    throw new Error(`${flags.map((name) => `--${name}`).join(' and ')} cannot be combined`);
+  }
+
+  return flags.length > 0 ? TARGETS[flags[0]] : detectTarget();
+};
+
+// Source file name for the target: `errors.js` becomes `errors.ts` for TypeScript
+const sourceFile = (target, file) => (target.ts ? file.replace(/\.js$/, '.ts') : file);
+
+// Relative import specifier: ES modules need the `.js` extension, also in TypeScript
+const importPath = (target, specifier) => (target.esm ? `${specifier}.js` : specifier);
+
+// Specifier of a directory's index module; only CommonJS resolves directories
+const indexImportPath = (target, dir) => (target.esm ? `${dir}/index.js` : dir);
+
+module.exports = {
+  TARGETS,
+  detectTarget,
+  parseTarget,
+  sourceFile,
+  importPath,
+  indexImportPath,
+};
@@ -0,0 +1,159 @@
+/**
+ * Template lookup and rendering for the generated code. Templates are plain text
+ * files with a small Mustache-style syntax:
+ *   {{name}}                  variable (dotted paths such as {{ops.create}} work)
+ *   {{#name}}...{{/name}}     section: rendered when the value is truthy, once per
+ *                             item for arrays, with an object's keys in scope
+ *   {{^name}}...{{/name}}     inverted section: rendered when the value is falsy or empty
+ * A section tag alone on its line removes that line. Values are inserted as-is.
+ *
+ * Each template is looked up in order, so a project can override any of them:
+ *   1. <project>/.claude/templates/expressjs-layered-api/
+ *   2. ~/.claude/templates/expressjs-layered-api/
+ *   3. templates/ in this plugin
+ * See references/templates.md for the templates and their variables.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const OVERRIDE_PATH = path.join('.claude', 'templates', 'expressjs-layered-api');
+const BUILT_IN_DIR = path.join(__dirname, '..', '..', 'templates');
+
+const TAG = /{{\s*([#^/]?)\s*([\w.]+)\s*}}/g;
+const STANDALONE_SECTION_TAG = /^[ \t]*({{\s*[#^/]\s*[\w.]+\s*}})[ \t]*\n/gm;
+
+const templateDirs = () => [
+  path.join(process.cwd(), OVERRIDE_PATH),
+  path.join(os.homedir(), OVERRIDE_PATH),
+  BUILT_IN_DIR,
+];
+
+// Absolute path of the first template found for a name such as `entity/repository.js`
+const resolveTemplate = (name) => {
+  const file = templateDirs()
+    .map((dir) => path.join(dir, `${name}.tmpl`))
+    .find((candidate) => fs.existsSync(candidate));
+
+  if (!file) {
+    throw new Error(`Template "${name}.tmpl" not found`);
+  }
+
+  return file;
+};
+
+// Tree of text, { type: 'var', name } and { type: '#' | '^', name, children } nodes
+const parse = (source) => {
+  const text = source.replace(/\r\n/g, '\n').replace(STANDALONE_SECTION_TAG, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  [...text.matchAll(TAG)].forEach((match) => {
+    const [tag, type, name] = match;
+    const parent = stack[stack.length - 1];
+    parent.children.push(text.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (type === '/') {
+      if (parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${parent.name ? `, expected {{/${parent.name}}}` : ''}`);
+      }
+      stack.pop();
+    } else if (type) {
+      const section = { type, name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else {
+      parent.children.push({ type: 'var', name });
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{${stack[stack.length - 1].type}${stack[stack.length - 1].name}}}`);
+  }
+
+  root.children.push(text.slice(last));
+  return root.children;
+};
+
+// Innermost scope that has the first key of the path wins
+const lookup = (scopes, name) => {
+  const [head, ...rest] = name.split('.');
+  const scope = [...scopes].reverse()
+    .find((candidate) => candidate !== null && typeof candidate === 'object' && head in candidate);
+
+  return scope
+    ? rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[head])
+    : undefined;
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+const renderNodes = (nodes, scopes) => nodes.map((node) => {
+  if (typeof node === 'string') {
+    return node;
+  }
+
+  const value = lookup(scopes, node.name);
+
+  if (node.type === 'var') {
+    if (value === undefined) {
+      throw new Error(`Unknown variable {{${node.name}}}`);
+    }
+    return String(value);
+  }
+
+  if (node.type === '^') {
+    return isEmpty(value) ? renderNodes(node.children, scopes) : '';
+  }
+
+  if (isEmpty(value)) {
+    return '';
+  }
+
+  return Array.isArray(value)
+    ? value.map((item) => renderNodes(node.children, [...scopes, item])).join('')
+    : renderNodes(node.children, typeof value === 'object' ? [...scopes, value] : scopes);
+}).join('');
+
+const renderString = (source, context) => renderNodes(parse(source), [context]);
+
+// Project-relative when the template is inside the project
+const displayPath = (file) => (file.startsWith(process.cwd() + path.sep) ? path.relative(process.cwd(), file) : file);
+
+// Overridden templates used so far, for the script summary
+const overrides = new Map();
+
+// Renders a template by name; errors name the template file
+const renderTemplate = (name, context) => {
+  const file = resolveTemplate(name);
+
+  if (!file.startsWith(BUILT_IN_DIR)) {
+    overrides.set(name, file);
+  }
+
+  try {
+    return renderString(fs.readFileSync(file, 'utf8'), context);
+  } catch (error) {
+    throw new Error(`${displayPath(file)}: ${error.message}`);
+  }
+};
+
+// Lists the project or user templates that replaced built-in ones
+const reportTemplateOverrides = () => {
+  if (overrides.size > 0) {
+    console.log('\nTemplates overridden:');
+    overrides.forEach((file, name) => console.log(`  - ${name} (${displayPath(file)})`));
+  }
+};
+
+module.exports = {
+  BUILT_IN_DIR,
+  OVERRIDE_PATH,
+  resolveTemplate,
+  renderString,
+  renderTemplate,
+  reportTemplateOverrides,
+};
@@ -0,0 +1,212 @@
+/**
+ * File output shared by the scaffolding scripts. Every script accepts:
+ *   --dry-run  print the files and contents that would be written, write nothing
+ *   --force    overwrite generated files that already exist
+ *   --merge    add missing files and top-level functions to existing files and
+ *              show a unified diff for everything else, keeping customizations
+ * Without --force or --merge, existing files are left untouched.
+ *
+ * Shared files are copied from examples/ for the writer's output target
+ * (see ./target.js), e.g. src/utils/errors.ts from examples/ts/ for TypeScript.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff } = require('./diff');
+const { mergeSource } = require('./merge');
+const { MIGRATIONS_DIR, migrationFileName } = require('./migration');
+const { readExample, findProjectMigration } = require('./project-files');
+const { TARGETS, sourceFile } = require('./target');
+
+// Reads the write flags; throws when --force and --merge are combined
+const parseWriteOptions = (args) => {
+  const force = args.includes('--force');
+  const merge = args.includes('--merge');
+
+  if (force && merge) {
+    throw new Error('--force and --merge cannot be combined');
+  }
+
+  return {
+    dryRun: args.includes('--dry-run'),
+    mode: (force && 'force') || (merge && 'merge') || 'create',
+  };
+};
+
+const REPORT_SECTIONS = [
+  ['created', 'Files created'],
+  ['updated', 'Files updated'],
+  ['overwritten', 'Files overwritten'],
+  ['merged', 'Files merged'],
+  ['kept', 'Files kept (customized)'],
+  ['unchanged', 'Files unchanged'],
+  ['skipped', 'Files skipped (already exist; rerun with --force or --merge)'],
+];
+
+const createWriter = ({ dryRun = false, mode = 'create', target = TARGETS.cjs } = {}) => {
+  const results = [];
+
+  const absolute = (projectPath) => path.join(process.cwd(), projectPath);
+
+  const read = (projectPath) => (fs.existsSync(absolute(projectPath))
+    ? fs.readFileSync(absolute(projectPath), 'utf8')
+    : null);
+
+  const save = (projectPath, content) => {
+    if (!dryRun) {
+      fs.mkdirSync(path.dirname(absolute(projectPath)), { recursive: true });
+      fs.writeFileSync(absolute(projectPath), content);
+    }
+  };
+
+  const diff = (projectPath, before, after, label) => unifiedDiff(before, after, {
+    fromFile: `a/${projectPath}`,
+    toFile: `b/${projectPath}${label ? ` (${label})` : ''}`,
+  });
+
+  const record = (file, action, details = {}) => {
+    results.push({ file, action, ...details });
+    return action;
+  };
+
+  // Generated file: created when missing, otherwise handled by the mode
+  const write = (projectPath, content) => {
+    const current = read(projectPath);
+
+    if (current === null) {
+      save(projectPath, content);
+      return record(projectPath, 'created', { content });
+    }
+
+    if (current === content) {
+      return record(projectPath, 'unchanged');
+    }
+
+    if (mode === 'force') {
+      save(projectPath, content);
+      return record(projectPath, 'overwritten', { changes: diff(projectPath, current, content) });
+    }
+
+    if (mode === 'merge') {
+      const merged = mergeSource(current, content);
+      if (merged.added.length > 0) {
+        save(projectPath, merged.content);
+      }
+      return record(projectPath, merged.added.length > 0 ? 'merged' : 'kept', {
+        added: merged.added,
+        changes: diff(projectPath, current, merged.content),
+        differences: diff(projectPath, merged.content, content, 'generated'),
+      });
+    }
+
+    return record(projectPath, 'skipped');
+  };
+
+  // Migrations may already have run, so an existing one is never rewritten, even with
+  // --force; its differences from the generated code are shown instead
+  const writeOnce = (projectPath, content) => {
+    const current = read(projectPath);
+
+    if (current === null) {
+      save(projectPath, content);
+      return record(projectPath, 'created', { content });
+    }
+
+    if (current === content) {
+      return record(projectPath, 'unchanged');
+    }
+
+    return record(projectPath, 'kept', { differences: diff(projectPath, current, content, 'generated') });
+  };
+
+  // Deliberate edit of a project file, e.g. registering an operation in index.js
+  const update = (projectPath, content) => {
+    const current = read(projectPath);
+
+    if (current === content) {
+      return record(projectPath, 'unchanged');
+    }
+
+    save(projectPath, content);
+    return current === null
+      ? record(projectPath, 'created', { content })
+      : record(projectPath, 'updated', { changes: diff(projectPath, current, content) });
+  };
+
+  // Shared file (utility, middleware) created the first time a generator needs it
+  // and never overwritten; returns the path when it was created
+  const ensure = (projectPath, content) => {
+    if (read(projectPath) !== null) {
+      return null;
+    }
+
+    save(projectPath, content);
+    record(projectPath, 'created', { content });
+    return projectPath;
+  };
+
+  const ensureExample = (examplePath, projectPath) => ensure(
+    sourceFile(target, projectPath),
+    readExample(examplePath, target)
+  );
+
+  // Example migration copied under a fresh timestamp unless the project already has it
+  const ensureExampleMigration = (examplePath, migrationName) => {
+    if (findProjectMigration(migrationName)) {
+      return null;
+    }
+
+    return ensure(path.join(MIGRATIONS_DIR, migrationFileName(migrationName, target)), readExample(examplePath, target));
+  };
+
+  // Summary line, e.g. `✅ Entity "subscribers" created successfully at <dir>`, worded for the mode
+  const headline = (subject, suffix = '') => {
+    const verb = { create: 'created', force: 'regenerated', merge: 'merged' }[mode];
+    const outcome = dryRun ? `Dry run: ${subject} would be ${verb}` : `✅ ${subject} ${verb} successfully`;
+    return suffix ? `${outcome} ${suffix}` : outcome;
+  };
+
+  const print = (title, entries) => {
+    if (entries.length > 0) {
+      console.log(`\n${title}:`);
+      entries.forEach((entry) => console.log(entry));
+    }
+  };
+
+  // Prints the files by outcome, what a dry run would write, and how merged or
+  // kept files still differ from the generated code
+  const report = () => {
+    REPORT_SECTIONS.forEach(([action, title]) => {
+      print(title, results
+        .filter((result) => result.action === action)
+        .map(({ file, added }) => `  - ${file}${added && added.length > 0 ? ` (added: ${added.join(', ')})` : ''}`));
+    });
+
+    if (dryRun) {
+      print('Changes (dry run, nothing was written)', results
+        .filter(({ content, changes }) => content || changes)
+        .map(({ file, content, changes }) => (content ? `\n=== ${file} ===\n${content.trimEnd()}` : `\n${changes.trimEnd()}`)));
+    }
+
+    print('Differences from the generated code (not applied)', results
+      .filter(({ differences }) => differences)
+      .map(({ differences }) => `\n${differences.trimEnd()}`));
+  };
+
+  return {
+    dryRun,
+    mode,
+    target,
+    results,
+    write,
+    writeOnce,
+    update,
+    ensure,
+    ensureExample,
+    ensureExampleMigration,
+    headline,
+    report,
+  };
+};
+
+module.exports = { parseWriteOptions, createWriter };